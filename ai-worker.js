@@ -0,0 +1,81 @@
+/**
+ * 五子棋AI搜索Worker
+ * 在独立线程中运行GomokuAI，避免搜索期间页面卡顿
+ *
+ * 消息协议:
+ *   主线程 -> Worker  { type: 'search', id, board, player, settings, options }
+ *                                                                       搜索最佳着法，options 为只用于这一次搜索的设置（例如 multiPV），
+ *                                                                       不参与AI实例的复用判断
+ *                     { type: 'analyze', id, board, player, settings }  必胜分析（VCF/VCT）
+ *                     { type: 'tournament', id, profiles, options }     自对弈比赛（见 tournament.js）
+ *                     { type: 'analyze-game', id, moves, settings }     对局分析（见 game-analysis.js）
+ *   Worker -> 主线程  { type: 'progress', id, progress }  搜索进度（节点数、当前深度、目前最佳着法）、比赛进度（每局结束后）
+ *                                                         或对局分析进度（每个局面分析完后）
+ *                     { type: 'result', id, result }      findBestMove / analyzeForcedWin 的完整结果、比赛报告或分析报告
+ *                     { type: 'error', id, message }      搜索出错
+ *
+ * 搜索是同步执行的，Worker 在搜索期间无法处理新消息，
+ * 因此取消搜索由主线程直接 terminate() 本 Worker 完成。
+ */
+
+importScripts('renju-rules.js', 'gomoku-rules.js', 'gomoku-ai.js', 'vcf-solver.js', 'vct-solver.js', 'incremental-evaluator.js', 'opening-book.js', 'mcts-ai.js', 'tournament.js', 'game-analysis.js');
+
+let ai = null;
+let aiSettingsKey = '';
+
+/**
+ * 设置不变时复用AI实例，保留置换表中的搜索结果
+ */
+function getAI(settings) {
+    const key = JSON.stringify(settings);
+    if (!ai || key !== aiSettingsKey) {
+        ai = settings.engine === 'mcts' ? new MCTSAI(settings) : new GomokuAI(settings);
+        aiSettingsKey = key;
+    }
+    return ai;
+}
+
+self.onmessage = (e) => {
+    const { type, id } = e.data;
+
+    if (type === 'search' || type === 'analyze') {
+        try {
+            const engine = getAI(e.data.settings);
+            engine.onProgress = (progress) => {
+                self.postMessage({ type: 'progress', id, progress });
+            };
+
+            const result = type === 'analyze'
+                ? engine.analyzeForcedWin(e.data.board, e.data.player)
+                : engine.withSettings(e.data.options || {}, () => engine.findBestMove(e.data.board, e.data.player));
+            self.postMessage({ type: 'result', id, result });
+        } catch (error) {
+            self.postMessage({ type: 'error', id, message: error.message });
+        }
+    }
+
+    if (type === 'tournament') {
+        try {
+            const [profileA, profileB] = e.data.profiles;
+            const tournament = new Tournament(profileA, profileB, e.data.options);
+            tournament.onProgress = (progress) => {
+                self.postMessage({ type: 'progress', id, progress });
+            };
+            self.postMessage({ type: 'result', id, result: tournament.run() });
+        } catch (error) {
+            self.postMessage({ type: 'error', id, message: error.message });
+        }
+    }
+
+    if (type === 'analyze-game') {
+        try {
+            const analyzer = new GameAnalyzer(e.data.settings, e.data.moves);
+            analyzer.onProgress = (progress) => {
+                self.postMessage({ type: 'progress', id, progress });
+            };
+            self.postMessage({ type: 'result', id, result: analyzer.run() });
+        } catch (error) {
+            self.postMessage({ type: 'error', id, message: error.message });
+        }
+    }
+};
@@ -0,0 +1,145 @@
+/**
+ * 对局分析：对一局棋的每个局面运行 GomokuAI.findBestMove，找出实战中的缓着、错着和败着
+ * - 局面 k 为前 k 手之后的局面，得分取 findBestMove 的最佳得分（行棋方视角，胜负记为 ±10000）
+ * - 第 k 手的实战得分为落子后局面的得分取反，损失 = 最佳得分 - 实战得分；实战着法就是引擎的最佳着法时损失为 0
+ * - 按损失把每一手分为好棋、缓着、错着、败着，并给出黑方视角的形势变化
+ * 不依赖页面，可以在 Worker 中运行，也可以在 Node 中运行。
+ */
+
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./gomoku-ai.js'));
+}
+
+// 胜负局面的得分，搜索得分超出时按此截断
+const ANALYSIS_WIN_SCORE = 10000;
+
+// 着法质量，按损失从小到大判定
+const MOVE_QUALITIES = [
+    { key: 'good', name: '好棋', maxLoss: 300 },
+    { key: 'inaccuracy', name: '缓着', maxLoss: 1000 },
+    { key: 'mistake', name: '错着', maxLoss: 3000 },
+    { key: 'blunder', name: '败着', maxLoss: Infinity }
+];
+
+class GameAnalyzer {
+    /**
+     * @param {Object} settings - AI设置；总是使用 Alpha-Beta 搜索，不查开局库（开局库着法没有得分）
+     * @param {Array} moves - [[row, col, player], ...]
+     */
+    constructor(settings, moves) {
+        this.ai = new GomokuAI({
+            ...settings,
+            engine: 'alphabeta',
+            useOpeningBook: false,
+            recordTree: false
+        });
+        this.moves = moves.map(move => [...move]);
+        this.positions = [];   // 各局面的分析结果 { player, score, bestMove }
+        this.searchTime = 0;
+        this.onProgress = null; // 每分析完一个局面调用 ({ position, positions, report })
+    }
+
+    /**
+     * 损失对应的着法质量
+     */
+    static classify(loss) {
+        return MOVE_QUALITIES.find(quality => loss <= quality.maxLoss).key;
+    }
+
+    /**
+     * 依次分析所有局面
+     * @returns {Object} - getReport() 的结果
+     */
+    run() {
+        for (let ply = this.positions.length; ply <= this.moves.length; ply++) {
+            this.analyzePosition(ply);
+        }
+        return this.getReport();
+    }
+
+    /**
+     * 分析前 ply 手之后的局面（需要按顺序调用）
+     */
+    analyzePosition(ply) {
+        const size = this.ai.boardSize;
+        const board = Array.from({ length: size }, () => Array(size).fill(0));
+        for (const [row, col, player] of this.moves.slice(0, ply)) {
+            board[row][col] = player;
+        }
+
+        const next = this.moves[ply];
+        const last = this.moves[ply - 1];
+        const player = next ? next[2] : (last ? 3 - last[2] : 1);
+
+        let score = 0;
+        let bestMove = null;
+        const winner = ply > 0 ? this.ai.checkWinner(board) : -1;
+        if (winner > 0) {
+            score = winner === player ? ANALYSIS_WIN_SCORE : -ANALYSIS_WIN_SCORE;
+        } else if (winner === -1) {
+            const result = this.ai.findBestMove(board, player);
+            if (result && result.move) {
+                score = Math.max(-ANALYSIS_WIN_SCORE, Math.min(ANALYSIS_WIN_SCORE, result.score));
+                bestMove = result.move;
+                this.searchTime += result.searchTime || 0;
+            }
+        }
+
+        this.positions[ply] = { player, score, bestMove };
+        if (this.onProgress) {
+            this.onProgress({ position: ply + 1, positions: this.moves.length + 1, report: this.getReport() });
+        }
+        return this.positions[ply];
+    }
+
+    /**
+     * 已分析局面的汇总
+     * @returns {Object} - {
+     *     evaluations: 各局面黑方视角的得分,
+     *     moves: [{ ply, move, bestMove, bestScore, playedScore, loss, quality }, ...],
+     *     summary: { 1: { good, inaccuracy, mistake, blunder }, 2: {...} },
+     *     searchTime
+     * }
+     */
+    getReport() {
+        const evaluations = this.positions.map(({ player, score }) => (player === 1 ? score : -score));
+        const summary = {};
+        for (const player of [1, 2]) {
+            summary[player] = Object.fromEntries(MOVE_QUALITIES.map(({ key }) => [key, 0]));
+        }
+
+        const moves = [];
+        for (let ply = 1; ply < this.positions.length; ply++) {
+            const move = this.moves[ply - 1];
+            const before = this.positions[ply - 1];
+            const after = this.positions[ply];
+            const playedScore = after.player === move[2] ? after.score : -after.score;
+            const isBest = before.bestMove && before.bestMove[0] === move[0] && before.bestMove[1] === move[1];
+            const loss = isBest ? 0 : Math.max(0, before.score - playedScore);
+            const quality = GameAnalyzer.classify(loss);
+
+            summary[move[2]][quality]++;
+            moves.push({
+                ply,
+                move,
+                bestMove: before.bestMove,
+                bestScore: before.score,
+                playedScore,
+                loss,
+                quality
+            });
+        }
+
+        return { evaluations, moves, summary, searchTime: this.searchTime };
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ANALYSIS_WIN_SCORE, MOVE_QUALITIES, GameAnalyzer };
+} else {
+    self.ANALYSIS_WIN_SCORE = ANALYSIS_WIN_SCORE;
+    self.MOVE_QUALITIES = MOVE_QUALITIES;
+    self.GameAnalyzer = GameAnalyzer;
+}
@@ -0,0 +1,472 @@
+/**
+ * 棋谱的保存和读取
+ * 支持三种格式：
+ *   psq       Piskvork 棋谱：首行 "Piskvorky 15x15, 11:11, 0"，之后每行 "x,y,用时"（从 1 开始，x 为列）
+ *   notation  坐标记谱："h8 i9 h10 ..."，列为字母 a 起，行为数字、从下往上数
+ *   sgf       类 SGF 格式（GM[4]）：带对局双方、规则、棋盘大小、结果和引擎设置等信息，
+ *             以及整棵对局树（变化、评论 C、着法符号 TE/BM）
+ * 读取时按规则逐手验证（在棋盘内、空点、黑白交替、连珠禁手、终局后不再落子）并重建局面，
+ * SGF 中的每个变化都要验证。
+ */
+
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./gomoku-rules.js'), require('./game-tree.js'));
+}
+
+const RECORD_FORMATS = {
+    psq: { name: 'Piskvork (.psq)', extension: 'psq' },
+    notation: { name: '坐标记谱 (h8 i9)', extension: 'txt' },
+    sgf: { name: 'SGF (.sgf)', extension: 'sgf' }
+};
+
+// SGF 结果写法与胜方（1=黑, 2=白, 0=和棋）
+const SGF_RESULTS = { 'B+': 1, 'W+': 2, 'Draw': 0 };
+
+// 着法符号与 SGF 属性：TE 好棋、BM 坏棋，值为 2 表示程度加倍
+const SGF_ANNOTATIONS = { '!': ['TE', '1'], '!!': ['TE', '2'], '?': ['BM', '1'], '??': ['BM', '2'] };
+
+class GameRecord {
+    /**
+     * @param {Object} record
+     * @param {Number} record.boardSize - 棋盘大小
+     * @param {Array} record.moves - [[row, col, player], ...]
+     * @param {GameTree|null} record.tree - 带变化的对局树，只在 SGF 中保存；其他格式只保存 moves
+     * @param {Object} record.metadata - { black, white, ruleSet, result, date, settings }，
+     *                                   result 为胜方 1/2、和棋 0，未结束为 null
+     */
+    constructor({ boardSize = 15, moves = [], tree = null, metadata = {} } = {}) {
+        this.boardSize = boardSize;
+        this.moves = moves.map(move => [...move]);
+        this.tree = tree;
+        this.metadata = { result: null, ...metadata };
+    }
+
+    /**
+     * 按扩展名或内容判断格式并读取
+     * @param {Object} defaults - 格式本身不带的信息，如 { boardSize, ruleSet }
+     */
+    static parse(text, defaults = {}) {
+        const content = text.trim();
+        if (/^Piskvorky/i.test(content)) return GameRecord.fromPSQ(content, defaults);
+        if (content.startsWith('(')) return GameRecord.fromSGF(content, defaults);
+        return GameRecord.fromNotation(content, defaults);
+    }
+
+    /**
+     * 按 format 输出文本
+     * @param {String} format - 'psq' | 'notation' | 'sgf'
+     */
+    format(format) {
+        switch (format) {
+            case 'psq':
+                return this.toPSQ();
+            case 'notation':
+                return this.toNotation();
+            case 'sgf':
+                return this.toSGF();
+            default:
+                throw new Error(`不支持的棋谱格式: ${format}`);
+        }
+    }
+
+    // ---------- Piskvork ----------
+
+    toPSQ() {
+        // 首行后两项是 Piskvork 界面使用的信息，读取时忽略
+        const lines = [`Piskvorky ${this.boardSize}x${this.boardSize}, 11:11, 0`];
+        for (const [row, col] of this.moves) {
+            lines.push(`${col + 1},${row + 1},0`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static fromPSQ(text, defaults = {}) {
+        const lines = text.trim().split(/\r?\n/);
+        const header = lines[0].match(/^Piskvorky\s+(\d+)\s*x\s*(\d+)/i);
+        if (!header) {
+            throw new Error('不是有效的 psq 棋谱：缺少 "Piskvorky 宽x高" 首行');
+        }
+        if (header[1] !== header[2]) {
+            throw new Error(`只支持正方形棋盘，棋谱为 ${header[1]}x${header[2]}`);
+        }
+
+        const boardSize = parseInt(header[1], 10);
+        const moves = [];
+        // 着法之后可能跟着引擎名等信息，遇到第一行非着法即停止
+        for (const line of lines.slice(1)) {
+            const match = line.trim().match(/^(-?\d+),(-?\d+)(,-?\d+)?$/);
+            if (!match) break;
+            const player = moves.length % 2 === 0 ? 1 : 2;
+            moves.push([parseInt(match[2], 10) - 1, parseInt(match[1], 10) - 1, player]);
+        }
+
+        return new GameRecord({ boardSize, moves, metadata: { ruleSet: defaults.ruleSet } });
+    }
+
+    // ---------- 坐标记谱 ----------
+
+    /**
+     * 单个点的坐标写法，例如 15 路棋盘的天元为 h8
+     */
+    static toCoordinate(row, col, boardSize) {
+        return `${String.fromCharCode(97 + col)}${boardSize - row}`;
+    }
+
+    /**
+     * @returns {Array|null} - [row, col]，写法不对时为 null
+     */
+    static fromCoordinate(text, boardSize) {
+        const match = text.toLowerCase().match(/^([a-z])(\d{1,2})$/);
+        if (!match) return null;
+        return [boardSize - parseInt(match[2], 10), match[1].charCodeAt(0) - 97];
+    }
+
+    toNotation() {
+        return this.moves.map(([row, col]) => GameRecord.toCoordinate(row, col, this.boardSize)).join(' ');
+    }
+
+    /**
+     * 着法之间可以用空格、逗号或换行分隔，也可以带 "1." 这样的手数
+     */
+    static fromNotation(text, defaults = {}) {
+        const boardSize = defaults.boardSize || 15;
+        const tokens = text.split(/[\s,;]+/).filter(token => token && !/^\d+\.$/.test(token));
+        if (tokens.length === 0) {
+            throw new Error('棋谱中没有着法');
+        }
+
+        const moves = tokens.map((token, index) => {
+            const point = GameRecord.fromCoordinate(token, boardSize);
+            if (!point) {
+                throw new Error(`第 ${index + 1} 手 "${token}" 不是有效的坐标`);
+            }
+            return [point[0], point[1], index % 2 === 0 ? 1 : 2];
+        });
+        return new GameRecord({ boardSize, moves, metadata: { ruleSet: defaults.ruleSet } });
+    }
+
+    // ---------- SGF ----------
+
+    static escapeSGF(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/]/g, '\\]');
+    }
+
+    toSGF() {
+        const { black, white, ruleSet, result, date, settings } = this.metadata;
+        const resultText = Object.keys(SGF_RESULTS).find(key => SGF_RESULTS[key] === result);
+        const properties = [
+            ['GM', 4],
+            ['FF', 4],
+            ['CA', 'UTF-8'],
+            ['AP', 'gomoku-naive'],
+            ['SZ', this.boardSize],
+            ['RU', ruleSet],
+            ['PB', black],
+            ['PW', white],
+            ['DT', date],
+            ['RE', resultText],
+            // 引擎设置是本程序的私有属性
+            ['ES', settings ? JSON.stringify(settings) : undefined]
+        ];
+
+        const root = properties
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `${key}[${GameRecord.escapeSGF(value)}]`)
+            .join('');
+        const tree = this.tree || GameTree.fromMoves(this.moves);
+        const comment = tree.root.comment ? `C[${GameRecord.escapeSGF(tree.root.comment)}]` : '';
+        return `(;${root}${comment}${GameRecord.writeSGFVariations(tree.root)})\n`;
+    }
+
+    /**
+     * 节点之后的着法：只有一个子节点时直接接在后面，有多个时每个变化用括号分开（第一个为主线）
+     */
+    static writeSGFVariations(node) {
+        const write = child => {
+            const [row, col, player] = child.move;
+            let text = `;${player === 1 ? 'B' : 'W'}[${String.fromCharCode(97 + col)}${String.fromCharCode(97 + row)}]`;
+            if (child.annotation) {
+                const [key, value] = SGF_ANNOTATIONS[child.annotation];
+                text += `${key}[${value}]`;
+            }
+            if (child.comment) {
+                text += `C[${GameRecord.escapeSGF(child.comment)}]`;
+            }
+            return text + GameRecord.writeSGFVariations(child);
+        };
+
+        if (node.children.length === 1) {
+            return write(node.children[0]);
+        }
+        return node.children.map(child => `(${write(child)})`).join('');
+    }
+
+    /**
+     * 把 SGF 文本解析为嵌套的变化 { nodes: [{ 属性: [值, ...] }, ...], variations: [...] }
+     */
+    static parseSGFTree(text) {
+        let i = 0;
+        const skipSpace = () => {
+            while (i < text.length && /\s/.test(text[i])) i++;
+        };
+
+        // 属性值，\ 转义下一个字符
+        const parseValue = () => {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== ']') {
+                if (text[i] === '\\') i++;
+                value += text[i] || '';
+                i++;
+            }
+            if (i >= text.length) {
+                throw new Error('SGF 格式错误：属性值缺少 "]"');
+            }
+            i++;
+            return value;
+        };
+
+        const parseNode = () => {
+            const node = {};
+            i++;
+            skipSpace();
+            while (/[A-Za-z]/.test(text[i] || '')) {
+                let name = '';
+                while (/[A-Za-z]/.test(text[i] || '')) {
+                    name += text[i];
+                    i++;
+                }
+                const property = name.toUpperCase();
+                skipSpace();
+                if (text[i] !== '[') {
+                    throw new Error(`SGF 格式错误：属性 ${property} 缺少值`);
+                }
+                node[property] = node[property] || [];
+                while (text[i] === '[') {
+                    node[property].push(parseValue());
+                    skipSpace();
+                }
+            }
+            return node;
+        };
+
+        const parseGameTree = () => {
+            const tree = { nodes: [], variations: [] };
+            i++;
+            skipSpace();
+            while (text[i] === ';') {
+                tree.nodes.push(parseNode());
+                skipSpace();
+            }
+            while (text[i] === '(') {
+                tree.variations.push(parseGameTree());
+                skipSpace();
+            }
+            if (i >= text.length) {
+                throw new Error('SGF 格式错误：缺少 ")"');
+            }
+            if (text[i] !== ')') {
+                throw new Error(`SGF 格式错误：意外的字符 "${text[i]}"`);
+            }
+            i++;
+            return tree;
+        };
+
+        skipSpace();
+        if (text[i] !== '(') {
+            throw new Error('SGF 格式错误：应以 "(" 开头');
+        }
+        return parseGameTree();
+    }
+
+    /**
+     * SGF 节点中的着法
+     * @param {Number} ply - 手数，用于错误信息
+     * @returns {Array|null} - [row, col, player]，节点中没有着法时为 null
+     */
+    static readSGFMove(properties, ply) {
+        if (properties.B && properties.W) {
+            throw new Error(`SGF 格式错误：第 ${ply} 手的节点中同时有 B 和 W`);
+        }
+        const key = properties.B ? 'B' : properties.W ? 'W' : null;
+        if (!key) return null;
+
+        const point = properties[key][0];
+        if (!/^[a-z]{2}$/.test(point)) {
+            throw new Error(`第 ${ply} 手 ${key}[${point}] 不是有效的坐标`);
+        }
+        return [point.charCodeAt(1) - 97, point.charCodeAt(0) - 97, key === 'B' ? 1 : 2];
+    }
+
+    /**
+     * RE 属性：B+ / W+ 后面可以带原因（如 "B+R" 认输），0 或 Draw 为和棋
+     * @returns {Number|null} - 胜方 1/2，和棋 0，没有结果为 null
+     */
+    static parseSGFResult(text) {
+        if (!text) return null;
+        if (/^B\+/i.test(text)) return 1;
+        if (/^W\+/i.test(text)) return 2;
+        if (/^(0|Draw)$/i.test(text)) return 0;
+        return null;
+    }
+
+    static fromSGF(text, defaults = {}) {
+        const sgf = GameRecord.parseSGFTree(text);
+        if (sgf.nodes.length === 0) {
+            throw new Error('SGF 格式错误：没有节点');
+        }
+
+        const root = sgf.nodes[0];
+        const value = key => (root[key] ? root[key][0] : undefined);
+        if (value('GM') && value('GM') !== '4') {
+            throw new Error(`不是五子棋的 SGF 棋谱（GM[${value('GM')}]）`);
+        }
+        if (root.B || root.W) {
+            throw new Error('SGF 格式错误：根节点中不能有着法');
+        }
+
+        const boardSize = value('SZ') ? parseInt(value('SZ'), 10) : (defaults.boardSize || 15);
+
+        // 按 SGF 的变化建立对局树，第一个变化为主线
+        const tree = new GameTree();
+        tree.root.comment = value('C') || '';
+        const addVariation = (parent, { nodes, variations }) => {
+            let node = parent;
+            for (const properties of nodes) {
+                if (properties === root) continue;
+                const move = GameRecord.readSGFMove(properties, tree.getPath(node).length + 1);
+                if (!move) {
+                    // 没有着法的节点只保留评论
+                    if (properties.C) node.comment = properties.C[0];
+                    continue;
+                }
+
+                tree.goTo(node);
+                node = tree.play(move);
+                if (properties.C) node.comment = properties.C[0];
+                for (const [annotation, [key, level]] of Object.entries(SGF_ANNOTATIONS)) {
+                    if (properties[key] && (properties[key][0] === '2') === (level === '2')) {
+                        node.annotation = annotation;
+                    }
+                }
+            }
+            variations.forEach(variation => addVariation(node, variation));
+        };
+        addVariation(tree.root, sgf);
+
+        tree.root.activeChild = 0;
+        tree.forEachNode(node => { node.activeChild = 0; });
+        const mainLine = tree.getMainLine();
+        tree.goTo(mainLine.length > 0 ? mainLine[mainLine.length - 1] : tree.root);
+        const moves = mainLine.map(({ move }) => move);
+
+        let settings;
+        if (value('ES')) {
+            try {
+                settings = JSON.parse(value('ES'));
+            } catch (error) {
+                throw new Error('SGF 中的引擎设置（ES）不是有效的 JSON');
+            }
+        }
+
+        return new GameRecord({
+            boardSize,
+            moves,
+            tree,
+            metadata: {
+                black: value('PB'),
+                white: value('PW'),
+                // 其他程序的规则名（如 RU[Japanese]）按当前规则处理
+                ruleSet: RULE_VARIANTS[value('RU')] ? value('RU') : defaults.ruleSet,
+                result: GameRecord.parseSGFResult(value('RE')),
+                date: value('DT'),
+                settings
+            }
+        });
+    }
+
+    // ---------- 验证 ----------
+
+    /**
+     * 在 board 上落下第 index + 1 手，不符合规则时抛出异常
+     * @param {String} label - 错误信息中这一手的写法
+     * @returns {Number} - 落子后的胜负：胜方 1/2，和棋 0，未结束 -1
+     */
+    placeMove(rules, board, [row, col, player], index, label = `第 ${index + 1} 手`) {
+        const size = this.boardSize;
+        if (!rules.isInside(row, col)) {
+            throw new Error(`${label}：(${row}, ${col}) 超出 ${size} 路棋盘`);
+        }
+        if (board[row][col] !== 0) {
+            throw new Error(`${label}：${GameRecord.toCoordinate(row, col, size)} 已有棋子`);
+        }
+        if (player !== (index % 2 === 0 ? 1 : 2)) {
+            throw new Error(`${label}：应由${index % 2 === 0 ? '黑' : '白'}方落子`);
+        }
+        if (player === 1 && rules.renju && rules.renju.isForbidden(board, row, col)) {
+            throw new Error(`${label}：${GameRecord.toCoordinate(row, col, size)} 是黑方禁手`);
+        }
+
+        board[row][col] = player;
+        if (rules.isWinningMove(board, row, col, player)) return player;
+        return index + 1 === size * size ? 0 : -1;
+    }
+
+    /**
+     * 按规则逐手重放，验证棋谱并重建局面；带对局树时每个变化都要验证
+     * @returns {Object} - { board, winner, currentPlayer }，winner 为 -1 表示对局未结束
+     */
+    replay() {
+        const size = this.boardSize;
+        if (!(Number.isInteger(size) && size >= 9 && size <= 19)) {
+            throw new Error(`不支持的棋盘大小: ${size}（只支持 9 ~ 19 路）`);
+        }
+
+        const rules = new GomokuRules(this.metadata.ruleSet, size);
+        const board = Array.from({ length: size }, () => Array(size).fill(0));
+        let winner = -1;
+
+        this.moves.forEach((move, index) => {
+            if (winner !== -1) {
+                throw new Error(`第 ${index + 1} 手：对局在第 ${index} 手已经结束`);
+            }
+            winner = this.placeMove(rules, board, move, index);
+        });
+
+        if (this.tree) {
+            const scratch = Array.from({ length: size }, () => Array(size).fill(0));
+            const visit = (node, ply, finished) => {
+                for (const child of node.children) {
+                    const label = `变化中的第 ${ply + 1} 手`;
+                    if (finished) {
+                        throw new Error(`${label}：对局在第 ${ply} 手已经结束`);
+                    }
+                    const result = this.placeMove(rules, scratch, child.move, ply, label);
+                    visit(child, ply + 1, result !== -1);
+                    scratch[child.move[0]][child.move[1]] = 0;
+                }
+            };
+            visit(this.tree.root, 0, false);
+        }
+
+        const result = this.metadata.result;
+        if (result !== null && result !== undefined && winner !== -1 && result !== winner) {
+            throw new Error('棋谱记录的结果与着法不符');
+        }
+
+        return {
+            board,
+            winner,
+            currentPlayer: this.moves.length % 2 === 0 ? 1 : 2
+        };
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RECORD_FORMATS, GameRecord };
+} else {
+    self.RECORD_FORMATS = RECORD_FORMATS;
+    self.GameRecord = GameRecord;
+}
@@ -0,0 +1,201 @@
+/**
+ * 对局树：记录主线和所有变化
+ * - 每个节点是一手棋 { move: [row, col, player], parent, children, activeChild, comment, annotation }，根节点的 move 为 null
+ * - children[0] 为主线，其余为变化；在中途走出不同的一手时新增一个变化
+ * - activeChild 记录从该节点继续时沿哪个子节点走（后退再前进时回到原来的变化），-1 表示不继续
+ * - 每个节点可以附加评论和符号（! ? !! ??）
+ */
+
+// 着法符号及含义
+const MOVE_ANNOTATIONS = {
+    '!': '好棋',
+    '?': '疑问手',
+    '!!': '妙手',
+    '??': '败着'
+};
+
+class GameTree {
+    constructor() {
+        this.root = GameTree.createNode(null, null);
+        this.current = this.root;
+    }
+
+    static createNode(move, parent) {
+        return { move, parent, children: [], activeChild: 0, comment: '', annotation: '' };
+    }
+
+    /**
+     * 由一串着法建立只有主线的对局树，当前节点为最后一手
+     * @param {Array} moves - [[row, col, player], ...]
+     */
+    static fromMoves(moves) {
+        const tree = new GameTree();
+        moves.forEach(move => tree.play(move));
+        return tree;
+    }
+
+    /**
+     * 当前节点的手数（根节点为 0）
+     */
+    get ply() {
+        let ply = 0;
+        for (let node = this.current; node.parent; node = node.parent) ply++;
+        return ply;
+    }
+
+    /**
+     * 从第一手到 node 的节点（不含根节点）
+     */
+    getPath(node = this.current) {
+        const path = [];
+        for (; node.parent; node = node.parent) path.push(node);
+        return path.reverse();
+    }
+
+    /**
+     * 从第一手到 node 的着法，即该局面棋盘上的棋子
+     */
+    getMoves(node = this.current) {
+        return this.getPath(node).map(({ move }) => move);
+    }
+
+    /**
+     * 从 node 沿 activeChild 继续的后续节点
+     */
+    getContinuation(node = this.current) {
+        const nodes = [];
+        for (let next = node.children[node.activeChild]; next; next = next.children[next.activeChild]) {
+            nodes.push(next);
+        }
+        return nodes;
+    }
+
+    /**
+     * 当前正在查看的整条变化：到当前节点的路径加上后续节点
+     */
+    getLine() {
+        return [...this.getPath(), ...this.getContinuation()];
+    }
+
+    /**
+     * 主线：从根节点一直沿 children[0] 走到底
+     */
+    getMainLine() {
+        const nodes = [];
+        for (let next = this.root.children[0]; next; next = next.children[0]) {
+            nodes.push(next);
+        }
+        return nodes;
+    }
+
+    isMainLine(node = this.current) {
+        for (; node.parent; node = node.parent) {
+            if (node.parent.children[0] !== node) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 从当前节点走一手：已有相同着法的子节点时沿它前进，否则新增一个变化
+     * @returns {Object} - 走到的节点
+     */
+    play(move) {
+        const [row, col] = move;
+        let index = this.current.children.findIndex(child => child.move[0] === row && child.move[1] === col);
+        if (index === -1) {
+            this.current.children.push(GameTree.createNode([...move], this.current));
+            index = this.current.children.length - 1;
+        }
+        this.current.activeChild = index;
+        this.current = this.current.children[index];
+        return this.current;
+    }
+
+    /**
+     * 后退一手（后续节点保留）
+     * @returns {Object|null} - 退回前的节点，已在根节点时为 null
+     */
+    back() {
+        if (!this.current.parent) return null;
+        const node = this.current;
+        this.current = node.parent;
+        return node;
+    }
+
+    /**
+     * 沿 activeChild 前进一手
+     * @returns {Object|null} - 走到的节点，没有后续时为 null
+     */
+    forward() {
+        const next = this.current.children[this.current.activeChild];
+        if (!next) return null;
+        this.current = next;
+        return next;
+    }
+
+    /**
+     * 跳到任意节点，沿路各节点的 activeChild 指向这条路径
+     */
+    goTo(node) {
+        for (let child = node; child.parent; child = child.parent) {
+            child.parent.activeChild = child.parent.children.indexOf(child);
+        }
+        this.current = node;
+    }
+
+    /**
+     * 不再沿原来的后续着法继续，之后的落子成为新的变化
+     */
+    cutContinuation() {
+        this.current.activeChild = -1;
+    }
+
+    /**
+     * 把 node 所在的变化提升为主线：从 node 到根节点，每一层都移到 children[0]
+     */
+    promote(node = this.current) {
+        for (let child = node; child.parent; child = child.parent) {
+            const siblings = child.parent.children;
+            siblings.splice(siblings.indexOf(child), 1);
+            siblings.unshift(child);
+            child.parent.activeChild = 0;
+        }
+    }
+
+    /**
+     * 设置着法符号，空字符串表示清除
+     */
+    annotate(node, annotation) {
+        if (annotation && !MOVE_ANNOTATIONS[annotation]) {
+            throw new Error(`不支持的着法符号: ${annotation}`);
+        }
+        node.annotation = annotation || '';
+    }
+
+    /**
+     * 深度优先遍历所有节点（不含根节点），callback(node, ply)
+     */
+    forEachNode(callback, node = this.root, ply = 0) {
+        for (const child of node.children) {
+            callback(child, ply + 1);
+            this.forEachNode(callback, child, ply + 1);
+        }
+    }
+
+    /**
+     * 节点总数（不含根节点）
+     */
+    get size() {
+        let count = 0;
+        this.forEachNode(() => count++);
+        return count;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面中挂到全局
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MOVE_ANNOTATIONS, GameTree };
+} else {
+    self.MOVE_ANNOTATIONS = MOVE_ANNOTATIONS;
+    self.GameTree = GameTree;
+}
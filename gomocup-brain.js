@@ -0,0 +1,306 @@
+/**
+ * Gomocup / Piskvork 协议的命令行AI（brain）
+ * 通过 stdin/stdout 与对局管理器交换文本命令，可以与其他五子棋引擎对战。
+ *
+ * 用法:
+ *   node gomocup-brain.js
+ *
+ * 支持的命令（坐标 x 为列、y 为行，从 0 开始）:
+ *   START size          开始新局，回复 OK 或 ERROR
+ *   RESTART             清空棋盘，回复 OK
+ *   BEGIN               本方先手，回复落子 x,y
+ *   TURN x,y            对方落子，回复本方落子 x,y
+ *   BOARD ... DONE      直接给出局面（x,y,1=本方 / 2=对方），回复本方落子
+ *   TAKEBACK x,y        撤销一手，回复 OK
+ *   INFO key value      timeout_turn / timeout_match / time_left（毫秒）和 rule，映射为搜索设置
+ *   ABOUT               回复引擎信息
+ *   END                 退出
+ */
+
+const readline = require('readline');
+const { GomokuAI } = require('./gomoku-ai.js');
+
+// 未收到 INFO timeout_turn 时每步使用的时间(ms)
+const DEFAULT_TURN_TIME = 5000;
+
+// INFO rule 的位标志：1=正好五子, 4=连珠, 8=Caro
+const RULE_EXACT_FIVE = 1;
+const RULE_RENJU = 4;
+const RULE_CARO = 8;
+
+class GomocupBrain {
+    /**
+     * @param {Function} output - 输出一行回复
+     * @param {Function} exit - 收到 END 时调用，默认结束进程
+     */
+    constructor(output, exit = () => process.exit(0)) {
+        this.output = output;
+        this.exit = exit;
+
+        this.size = 0;
+        this.board = null;
+        this.myColor = null;    // 本方执色：BEGIN 为黑(1)，先收到 TURN 为白(2)
+        this.boardLines = null; // BOARD 命令收集中的行
+
+        this.info = {
+            timeoutTurn: 0,     // 每步时限，0 表示尽快落子
+            timeoutMatch: 0,    // 整局时限，0 表示不限
+            timeLeft: 0,        // 整局剩余时间
+            rule: 0
+        };
+        this.infoReceived = false;
+
+        this.ai = null;
+        this.aiSettingsKey = '';
+    }
+
+    /**
+     * 处理管理器发来的一行命令
+     */
+    handleLine(rawLine) {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        // BOARD 模式下逐行收集棋子，直到 DONE
+        if (this.boardLines) {
+            if (line.toUpperCase() === 'DONE') {
+                this.loadBoard(this.boardLines);
+                this.boardLines = null;
+                this.play();
+            } else {
+                this.boardLines.push(line);
+            }
+            return;
+        }
+
+        const [command, ...rest] = line.split(/\s+/);
+        const argument = rest.join(' ');
+
+        switch (command.toUpperCase()) {
+            case 'START':
+                this.start(parseInt(argument, 10));
+                break;
+            case 'RESTART':
+                this.start(this.size);
+                break;
+            case 'BEGIN':
+                if (!this.checkStarted()) return;
+                this.myColor = 1;
+                this.play();
+                break;
+            case 'TURN': {
+                if (!this.checkStarted()) return;
+                const move = this.parseMove(argument);
+                if (!move) return;
+                if (this.myColor === null) this.myColor = 2;
+                this.board[move[1]][move[0]] = 3 - this.myColor;
+                this.play();
+                break;
+            }
+            case 'BOARD':
+                if (!this.checkStarted()) return;
+                this.boardLines = [];
+                break;
+            case 'TAKEBACK': {
+                if (!this.checkStarted()) return;
+                const move = this.parseMove(argument, true);
+                if (!move) return;
+                this.board[move[1]][move[0]] = 0;
+                this.output('OK');
+                break;
+            }
+            case 'INFO':
+                this.setInfo(rest[0], rest[1]);
+                break;
+            case 'ABOUT':
+                this.output('name="gomoku-naive", version="1.0", author="gomoku-naive", country="CN"');
+                break;
+            case 'END':
+                this.exit();
+                break;
+            default:
+                this.output(`UNKNOWN 不支持的命令 ${command}`);
+        }
+    }
+
+    /**
+     * 开始新局，棋盘大小需在 9 ~ 19 之间
+     */
+    start(size) {
+        if (!(size >= 9 && size <= 19)) {
+            this.output('ERROR 只支持 9 ~ 19 路棋盘');
+            return;
+        }
+
+        this.size = size;
+        this.board = Array.from({ length: size }, () => Array(size).fill(0));
+        this.myColor = null;
+        this.output('OK');
+    }
+
+    checkStarted() {
+        if (!this.board) {
+            this.output('ERROR 尚未收到 START');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 解析 "x,y" 坐标
+     * @param {Boolean} occupied - 为 true 时要求该点已有棋子（TAKEBACK），否则要求为空点
+     * @returns {Array|null} - [x, y]
+     */
+    parseMove(text, occupied = false) {
+        const [x, y] = text.split(',').map(value => parseInt(value, 10));
+        const valid = x >= 0 && x < this.size && y >= 0 && y < this.size &&
+                      (this.board[y][x] !== 0) === occupied;
+        if (!valid) {
+            this.output(`ERROR 无效的坐标 ${text}`);
+            return null;
+        }
+        return [x, y];
+    }
+
+    /**
+     * 由 BOARD 命令给出的棋子重建棋盘；双方子数相同时本方为黑
+     */
+    loadBoard(lines) {
+        const stones = [];
+        for (const line of lines) {
+            const [x, y, field] = line.split(',').map(value => parseInt(value, 10));
+            // field 3 只在连续对局中使用，忽略
+            if (x >= 0 && x < this.size && y >= 0 && y < this.size && (field === 1 || field === 2)) {
+                stones.push([x, y, field]);
+            }
+        }
+
+        const own = stones.filter(([, , field]) => field === 1).length;
+        const opponent = stones.length - own;
+        this.myColor = own === opponent ? 1 : 2;
+
+        this.board = Array.from({ length: this.size }, () => Array(this.size).fill(0));
+        for (const [x, y, field] of stones) {
+            this.board[y][x] = field === 1 ? this.myColor : 3 - this.myColor;
+        }
+    }
+
+    setInfo(key, value) {
+        const number = parseInt(value, 10);
+        if (isNaN(number)) return;
+
+        switch (key) {
+            case 'timeout_turn':
+                this.info.timeoutTurn = number;
+                break;
+            case 'timeout_match':
+                this.info.timeoutMatch = number;
+                break;
+            case 'time_left':
+                this.info.timeLeft = number;
+                break;
+            case 'rule':
+                this.info.rule = number;
+                break;
+            default:
+                return;
+        }
+        this.infoReceived = true;
+    }
+
+    /**
+     * 本步可用的思考时间：取每步时限和整局剩余时间的 1/20 中较小者，
+     * 再留出余量（VCF/VCT 求解和进程通信不受 timeLimit 精确约束）
+     */
+    getTurnTime() {
+        let limit = this.infoReceived ? this.info.timeoutTurn : DEFAULT_TURN_TIME;
+        if (limit <= 0) limit = DEFAULT_TURN_TIME;
+        if (this.info.timeoutMatch > 0 && this.info.timeLeft > 0) {
+            limit = Math.min(limit, this.info.timeLeft / 20);
+        }
+        if (this.infoReceived && this.info.timeoutTurn === 0 && this.info.timeoutMatch === 0) {
+            // 双方都为 0 表示尽快落子
+            limit = 100;
+        }
+        return Math.max(50, Math.floor(limit * 0.7) - 30);
+    }
+
+    getRuleSet() {
+        const rule = this.info.rule;
+        if (rule & RULE_RENJU) return 'renju';
+        if (rule & RULE_CARO) return 'caro';
+        if (rule & RULE_EXACT_FIVE) return 'standard';
+        return 'freestyle';
+    }
+
+    /**
+     * 把协议中的时间和规则映射为搜索设置；时间很短时跳过 VCT 以免超时
+     */
+    getSearchSettings() {
+        const timeLimit = this.getTurnTime();
+        return {
+            boardSize: this.size,
+            ruleSet: this.getRuleSet(),
+            searchDepth: 10,
+            timeLimit,
+            useVCT: timeLimit >= 1000
+        };
+    }
+
+    /**
+     * 设置中除时间外的部分不变时复用AI实例，保留置换表
+     */
+    getAI() {
+        const { timeLimit, ...settings } = this.getSearchSettings();
+        const key = JSON.stringify(settings);
+        if (!this.ai || key !== this.aiSettingsKey) {
+            this.ai = new GomokuAI(settings);
+            this.aiSettingsKey = key;
+        }
+        this.ai.settings.timeLimit = timeLimit;
+        this.ai.settings.useVCT = settings.useVCT;
+        return this.ai;
+    }
+
+    /**
+     * 本方落子并输出坐标
+     */
+    play() {
+        const ai = this.getAI();
+        const result = ai.findBestMove(this.board, this.myColor);
+
+        let move = result && result.move;
+        if (!move) {
+            // 空棋盘或搜索不到候选点：下在天元，否则下在任一空点
+            const center = Math.floor(this.size / 2);
+            move = this.board[center][center] === 0 ? [center, center] : this.findEmpty();
+        }
+        if (!move) {
+            this.output('ERROR 棋盘已满');
+            return;
+        }
+
+        const [row, col] = move;
+        this.board[row][col] = this.myColor;
+        this.output(`${col},${row}`);
+    }
+
+    findEmpty() {
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                if (this.board[row][col] === 0) return [row, col];
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = { GomocupBrain };
+
+// 直接运行时从 stdin 读取命令；被 require 时（例如测试）只导出类
+if (require.main === module) {
+    const brain = new GomocupBrain(line => process.stdout.write(`${line}\n`));
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+    input.on('line', line => brain.handleLine(line));
+    input.on('close', () => process.exit(0));
+}
@@ -3,18 +3,87 @@
  * 包含启发式评估函数、棋型识别、博弈树搜索
  */
 
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        require('./gomoku-rules.js'),
+        require('./vcf-solver.js'),
+        require('./vct-solver.js'),
+        require('./incremental-evaluator.js'),
+        require('./opening-book.js')
+    );
+}
+
+// 置换表项的边界类型
+const TT_EXACT = 0; // 精确值
+const TT_LOWER = 1; // 下界（发生了Beta剪枝）
+const TT_UPPER = 2; // 上界（所有着法都不超过alpha）
+
+// 默认棋型权重
+const DEFAULT_PATTERN_WEIGHTS = {
+    liveFive: 100000,
+    liveFour: 100000,
+    deadFour: 500,
+    liveThree: 1000,
+    deadThree: 100,
+    liveTwo: 100,
+    deadTwo: 10,
+    opponentThreat: 1.2
+};
+
 class GomokuAI {
-    constructor(settings) {
+    constructor(settings = {}) {
         // 默认设置
         this.settings = {
             boardSize: 15,
-            ...settings
+            ruleSet: 'freestyle', // 'freestyle' | 'standard' | 'caro' | 'renju'，见 GomokuRules
+            searchDepth: 6,
+            timeLimit: 3000,   // 每步思考时间(ms)，0 表示不限时
+            candidateCount: 10,
+            searchRange: 2,
+            useTranspositionTable: true,
+            ttSizeBits: 18,    // 置换表容量 2^18 项
+            incrementalEval: true, // 叶子节点使用增量评估
+            useVCF: true,      // 搜索前先求解连续冲四必胜
+            vcfDepth: 12,      // VCF最多冲四次数
+            vcfNodeLimit: 5000,
+            useVCT: true,      // VCF无解时再求解活三/冲四必胜
+            vctDepth: 6,       // VCT最多威胁次数
+            vctNodeLimit: 3000,
+            useOpeningBook: true, // 开局阶段先查开局库
+            openingBookMaxMoves: 12, // 棋盘上超过这么多子后不再查开局库
+            openingBook: null, // 开局库数据（OpeningBook.toJSON() 的格式），为 null 时使用内置开局库
+            useKillerMoves: true,   // 每层记住最近引起剪枝的着法，优先搜索
+            useHistoryHeuristic: false, // 按历史剪枝贡献给候选点排序（快速评估已经较准，默认关闭）
+            recordTree: false, // 记录最后一层完整迭代的搜索树（用于日志页展示）
+            treeNodeLimit: 2000, // 搜索树最多记录的节点数
+            multiPV: 1,        // 根节点得分准确的着法数（提示前几个着法时使用），大于1时剪枝变少
+            ...settings,
+            // 权重可以只覆盖其中几项
+            patternWeights: { ...DEFAULT_PATTERN_WEIGHTS, ...settings.patternWeights }
         };
         
         this.boardSize = this.settings.boardSize;
         this.searchNodes = 0;  // 搜索节点计数
         this.pruningCount = 0; // 剪枝计数
+        this.firstMoveCutoffs = 0; // 第一个着法就引起剪枝的次数
+        this.ttHits = 0;       // 置换表命中计数
+        this.ttStores = 0;     // 置换表写入计数
         this.logs = [];        // 搜索日志
+        this.onProgress = null; // 搜索进度回调 (progress) => {}
+        this.evaluator = null;  // 增量评估器，搜索开始时绑定棋盘
+        this.searchTree = null; // 正在记录的搜索树
+        this.treeParent = null; // 搜索树中当前局面对应的节点，不记录时为 null
+        this.rules = new GomokuRules(this.settings.ruleSet, this.boardSize);
+        this.renju = this.rules.renju;
+
+        this.initZobrist();
+        this.ttDepths = null;   // 置换表在第一次Alpha-Beta搜索时才分配（MCTS 不使用）
+        this.initMoveOrdering();
+        this.openingBook = this.settings.openingBook
+            ? new OpeningBook(this.settings.openingBook)
+            : OpeningBook.createDefault(this.boardSize);
 
         this.patterns = [
             // --- 连五 ---
@@ -38,23 +107,96 @@ class GomokuAI {
             // --- 活二 ---
             { regex: /001100|01100|00110|01010|010010/, type: 'liveTwo' }
         ];
+
+        // 按当前规则替换“连五”的判定，连珠规则下黑白双方不同
+        const withFiveRule = (player) => this.patterns.map(pattern =>
+            pattern.type === 'liveFive' ? { ...pattern, regex: this.rules.getFiveRegex(player) } : pattern
+        );
+        this.playerPatterns = [null, withFiveRule(1), withFiveRule(2)];
     }
 
     /**
      * 主搜索函数 - Alpha-Beta剪枝
      * @param {Array} board - 当前棋盘状态
      * @param {Number} player - 当前玩家 (1=黑, 2=白)
-     * @returns {Object} - 最佳落子和相关信息
+     * @returns {Object} - 最佳落子和相关信息，pv 为预期的主变化 [[row, col, player], ...]，
+     *                     rootScores 为根节点各候选点的得分 { move, score, exact }（exact 为 false 时只是上界），
+     *                     cutMoves / outOfRangeMoves 为没有参与搜索的点，
+     *                     开启 recordTree 时 searchTree 为最后一层完整迭代的搜索树，
+     *                     着法来自开局库时 book 为 { move, weight, total, candidates }
      */
     findBestMove(board, player) {
         this.searchNodes = 0;
         this.pruningCount = 0;
+        this.firstMoveCutoffs = 0;
+        this.ttHits = 0;
+        this.ttStores = 0;
+        this.vcfNodes = 0;
+        this.vctNodes = 0;
         this.logs = [];
         
         const startTime = Date.now();
+        this.hash = this.computeHash(board);
+        this.resetMoveOrdering();
+        this.syncTranspositionTable();
+        
+        if (this.settings.incrementalEval) {
+            this.evaluator = this.evaluator || new IncrementalEvaluator(this);
+            this.evaluator.reset(board);
+        }
+        
+        // 时间预算：0 表示不限时，只受搜索深度约束
+        const timeLimit = Number(this.settings.timeLimit) || 0;
+        this.deadline = timeLimit > 0 ? startTime + timeLimit : Infinity;
+        this.aborted = false;
+        this.startTime = startTime;
+        this.lastProgressTime = startTime;
+        this.bestSoFar = null;
+        this.currentDepth = 0;
+        
+        // 开局库中有当前局面时直接按权重选一个着法
+        const bookResult = this.playFromOpeningBook(board, player, startTime);
+        if (bookResult) return bookResult;
+        
+        // 生成候选着点，排在 candidateCount 之后的记下来供界面显示
+        const allMoves = this.generateCandidateMoves(board, player, Infinity);
+        const candidates = allMoves.slice(0, this.settings.candidateCount);
+        const cutMoves = allMoves.slice(this.settings.candidateCount);
+        this.reportFirstCandidate(candidates[0], player);
+        
+        // 先尝试VCF/VCT：找到强制取胜序列就不再进行常规搜索
+        const vcf = this.settings.useVCF ? this.solveVCF(board, player) : null;
+        const vct = !vcf && this.settings.useVCT ? this.solveVCT(board, player) : null;
+        const sequence = vcf || vct;
+        if (sequence) {
+            const searchTime = Date.now() - startTime;
+            this.log(`搜索完成: ${vcf ? 'VCF' : 'VCT'}必胜, 最佳位置 ${sequence[0][0]},${sequence[0][1]}, 耗时 ${searchTime}ms`);
+            return {
+                move: [sequence[0][0], sequence[0][1]],
+                score: 10000,
+                pv: sequence,
+                rootScores: [],
+                cutMoves: [],
+                outOfRangeMoves: [],
+                searchTree: null,
+                reachedDepth: 0,
+                iterations: [],
+                vcf,
+                vct,
+                vcfNodes: this.vcfNodes,
+                vctNodes: this.vctNodes,
+                searchNodes: this.searchNodes,
+                pruningCount: this.pruningCount,
+                firstMoveCutoffRate: 0,
+                effectiveBranchingFactor: 0,
+                moveOrdering: this.getMoveOrderingSettings(),
+                ttHits: this.ttHits,
+                ttStores: this.ttStores,
+                searchTime: searchTime,
+                logs: this.logs
+            };
+        }
         
-        // 生成候选着点
-        const candidates = this.generateCandidateMoves(board, player);
         this.log(`生成了 ${candidates.length} 个候选着点`);
         
         if (candidates.length === 0) {
@@ -63,6 +205,239 @@ class GomokuAI {
         
         let bestMove = null;
         let bestScore = -Infinity;
+        let bestPV = [];
+        let rootScores = [];
+        let searchTree = null;
+        let reachedDepth = 0;
+        const iterations = [];
+        const maxDepth = Number(this.settings.searchDepth);
+        
+        // 迭代加深：从1层开始逐层加深，超时则采用上一层完整搜索的结果
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            const iterationStart = Date.now();
+            const nodesBefore = this.searchNodes;
+            this.currentDepth = depth;
+            // 搜索树每一层重新记录，超时中断的一层丢弃
+            const tree = this.settings.recordTree ? this.startSearchTree(board, player, depth) : null;
+            const result = this.searchRoot(board, player, depth, candidates);
+            this.treeParent = null;
+            
+            if (this.aborted) {
+                this.log(`深度 ${depth} 搜索超时，采用深度 ${reachedDepth} 的结果`);
+                break;
+            }
+            
+            bestMove = result.move;
+            bestScore = result.score;
+            bestPV = this.completePV(board, result.pv, depth);
+            rootScores = result.scores;
+            if (tree) {
+                tree.root.score = result.score;
+                searchTree = tree;
+            }
+            reachedDepth = depth;
+            iterations.push({
+                depth,
+                move: bestMove,
+                score: bestScore,
+                pv: bestPV,
+                searchNodes: this.searchNodes - nodesBefore,
+                time: Date.now() - iterationStart
+            });
+            this.log(`深度 ${depth} 完成: 最佳位置 ${bestMove}, 得分 ${bestScore}, 节点 ${this.searchNodes - nodesBefore}, 耗时 ${Date.now() - iterationStart}ms`);
+            this.bestSoFar = { move: bestMove, score: bestScore, depth, pv: bestPV };
+            this.reportProgress(true);
+            
+            // 已找到必胜/必败，无需继续加深
+            if (Math.abs(bestScore) >= 10000) break;
+            
+            // 上一层最佳着法放到最前，提高下一层的剪枝效率
+            const index = candidates.indexOf(bestMove);
+            if (index > 0) {
+                candidates.unshift(candidates.splice(index, 1)[0]);
+            }
+        }
+        
+        const searchTime = Date.now() - startTime;
+        const nodesPerSecond = searchTime > 0 ? Math.round(this.searchNodes * 1000 / searchTime) : 0;
+        // 首着剪枝率越接近1说明着法排序越好；有效分支因子 b 满足 b^深度 ≈ 节点数
+        const firstMoveCutoffRate = this.pruningCount > 0 ? this.firstMoveCutoffs / this.pruningCount : 0;
+        const effectiveBranchingFactor = reachedDepth > 0 ? Math.pow(this.searchNodes, 1 / reachedDepth) : 0;
+        this.log(`搜索完成: 最佳位置 ${bestMove}, 得分 ${bestScore}, 深度 ${reachedDepth}, 耗时 ${searchTime}ms, 搜索节点 ${this.searchNodes}, 剪枝 ${this.pruningCount}, 速度 ${nodesPerSecond} 节点/秒`);
+        this.log(`着法排序: 首着剪枝率 ${(firstMoveCutoffRate * 100).toFixed(1)}%, 有效分支因子 ${effectiveBranchingFactor.toFixed(2)}`);
+        this.log(`置换表: 命中 ${this.ttHits}, 写入 ${this.ttStores}`);
+        this.log(`主变化: ${this.formatPV(bestPV)}`);
+        
+        return {
+            move: bestMove,
+            score: bestScore,
+            pv: bestPV,
+            rootScores,
+            cutMoves,
+            outOfRangeMoves: this.getOutOfRangeMoves(board),
+            searchTree,
+            reachedDepth,
+            iterations,
+            vcf: null,
+            vct: null,
+            vcfNodes: this.vcfNodes,
+            vctNodes: this.vctNodes,
+            searchNodes: this.searchNodes,
+            nodesPerSecond,
+            pruningCount: this.pruningCount,
+            firstMoveCutoffRate,
+            effectiveBranchingFactor,
+            moveOrdering: this.getMoveOrderingSettings(),
+            ttHits: this.ttHits,
+            ttStores: this.ttStores,
+            searchTime: searchTime,
+            logs: this.logs
+        };
+    }
+
+    /**
+     * 临时覆盖设置执行 callback（例如提示时的 multiPV），结束后恢复；
+     * 只影响这一次搜索的设置不参与置换表的 key，置换表中的结果保留
+     */
+    withSettings(overrides, callback) {
+        const settings = this.settings;
+        this.settings = { ...settings, ...overrides };
+        try {
+            return callback();
+        } finally {
+            this.settings = settings;
+        }
+    }
+
+    /**
+     * 从开局库中选一个着法，返回与 findBestMove 相同格式的结果；库中没有当前局面时返回 null
+     */
+    playFromOpeningBook(board, player, startTime) {
+        const bookMove = this.probeOpeningBook(board, player);
+        if (!bookMove) return null;
+        
+        const searchTime = Date.now() - startTime;
+        const [row, col] = bookMove.move;
+        this.log(`开局库: 选择 (${row}, ${col})，权重 ${bookMove.weight}/${bookMove.total}，共 ${bookMove.candidates.length} 个候选`);
+        return {
+            move: [row, col],
+            score: 0,
+            pv: [[row, col, player]],
+            book: bookMove,
+            rootScores: [],
+            cutMoves: [],
+            outOfRangeMoves: [],
+            searchTree: null,
+            reachedDepth: 0,
+            iterations: [],
+            vcf: null,
+            vct: null,
+            vcfNodes: 0,
+            vctNodes: 0,
+            searchNodes: 0,
+            pruningCount: 0,
+            firstMoveCutoffRate: 0,
+            effectiveBranchingFactor: 0,
+            moveOrdering: this.getMoveOrderingSettings(),
+            ttHits: 0,
+            ttStores: 0,
+            searchTime,
+            logs: this.logs
+        };
+    }
+
+    /**
+     * 查询开局库（棋子数不超过 openingBookMaxMoves 时），跳过已落子和禁手的点
+     * @returns {Object|null} - OpeningBook.chooseMove() 的结果
+     */
+    probeOpeningBook(board, player) {
+        if (!this.settings.useOpeningBook || !this.openingBook) return null;
+        
+        let stones = 0;
+        for (const row of board) {
+            for (const cell of row) {
+                if (cell !== 0) stones++;
+            }
+        }
+        if (stones > this.settings.openingBookMaxMoves) return null;
+        
+        return this.openingBook.chooseMove(board, player, (row, col) => !this.isForbiddenMove(board, row, col, player));
+    }
+
+    /**
+     * VCF求解：查找连续冲四的强制取胜序列
+     * @returns {Array|null} - [[row, col, player], ...]
+     */
+    solveVCF(board, player) {
+        const solver = new VCFSolver(this, {
+            maxDepth: this.settings.vcfDepth,
+            nodeLimit: this.settings.vcfNodeLimit
+        });
+        const sequence = solver.solve(board, player);
+        this.vcfNodes = solver.nodes;
+        
+        if (sequence) {
+            const moves = sequence.map(([r, c]) => `(${r}, ${c})`).join(' → ');
+            this.log(`VCF: 展开 ${solver.nodes} 个节点，找到连续冲四必胜: ${moves}`);
+        } else {
+            this.log(`VCF: 展开 ${solver.nodes} 个节点，未找到必胜序列${solver.limitReached ? '（达到节点上限）' : ''}`);
+        }
+        return sequence;
+    }
+
+    /**
+     * VCT求解：查找由活三和冲四组成的强制取胜序列（威胁空间搜索）
+     * @returns {Array|null} - 主变化 [[row, col, player], ...]
+     */
+    solveVCT(board, player) {
+        const solver = new VCTSolver(this, {
+            maxDepth: this.settings.vctDepth,
+            nodeLimit: this.settings.vctNodeLimit
+        });
+        const sequence = solver.solve(board, player);
+        this.vctNodes = solver.nodes;
+        
+        if (sequence) {
+            const moves = sequence.map(([r, c]) => `(${r}, ${c})`).join(' → ');
+            this.log(`VCT: 展开 ${solver.nodes} 个威胁节点，找到必胜: ${moves}`);
+        } else {
+            this.log(`VCT: 展开 ${solver.nodes} 个威胁节点，未找到必胜序列${solver.limitReached ? '（达到节点上限）' : ''}`);
+        }
+        return sequence;
+    }
+
+    /**
+     * 必胜分析：依次尝试VCF和VCT，不进行常规搜索
+     * @returns {Object} - { sequence, type, vcfNodes, vctNodes, searchTime, logs }
+     */
+    analyzeForcedWin(board, player) {
+        this.vcfNodes = 0;
+        this.vctNodes = 0;
+        this.logs = [];
+        
+        const startTime = Date.now();
+        const vcf = this.solveVCF(board, player);
+        const vct = vcf ? null : this.solveVCT(board, player);
+        
+        return {
+            sequence: vcf || vct,
+            type: vcf ? 'VCF' : (vct ? 'VCT' : null),
+            vcfNodes: this.vcfNodes,
+            vctNodes: this.vctNodes,
+            searchTime: Date.now() - startTime,
+            logs: this.logs
+        };
+    }
+
+    /**
+     * 根节点搜索：对每个候选点做一次指定深度的Alpha-Beta搜索
+     * 第1层不受时间限制，保证迭代加深至少有一个完整结果
+     */
+    searchRoot(board, player, depth, candidates) {
+        let bestMove = null;
+        let bestScore = -Infinity;
+        let bestPV = [];
+        const scores = [];
         let alpha = -Infinity;
         const beta = Infinity;
         
@@ -71,40 +446,204 @@ class GomokuAI {
             const [row, col] = move;
             
             // 模拟落子
-            board[row][col] = player;
+            this.makeMove(board, row, col, player);
+            
+            const parentNode = this.treeParent;
+            const treeNode = parentNode ? this.addTreeNode(parentNode, move, player, depth - 1, alpha, beta) : null;
+            this.treeParent = treeNode;
             
-            // Alpha-Beta搜索
-            const score = -this.alphaBetaSearch(
-                board, 
-                this.settings.searchDepth - 1, 
-                -beta, 
-                -alpha, 
-                3 - player  // 切换玩家
-            );
+            // 直接成五不必再搜索，否则进行Alpha-Beta搜索
+            const winning = this.rules.isWinningMove(board, row, col, player);
+            const score = winning
+                ? 10000 + depth
+                : -this.alphaBetaSearch(
+                    board, 
+                    depth - 1, 
+                    -beta, 
+                    -alpha, 
+                    3 - player  // 切换玩家
+                );
+            const childLine = winning ? [] : this.lastPV;
+            
+            this.treeParent = parentNode;
+            if (treeNode) {
+                treeNode.score = score;
+                treeNode.win = winning;
+            }
             
             // 撤销落子
-            board[row][col] = 0;
+            this.unmakeMove(board, row, col, player);
             
-            this.log(`评估位置 (${row}, ${col}): 得分 ${score}`);
+            if (depth > 1 && this.isTimeUp()) {
+                break;
+            }
+            
+            this.log(`深度 ${depth} 评估位置 (${row}, ${col}): 得分 ${score}`);
+            // 窗口下界为 alpha，不高于 alpha 的得分只是上界
+            scores.push({ move, score, exact: winning || score > alpha });
             
             if (score > bestScore) {
                 bestScore = score;
                 bestMove = move;
+                bestPV = [[row, col, player], ...childLine];
                 alpha = score;
+                
+                // 上一层最佳着法排在最前，本层找到的更优着法同样可信
+                if (depth > 1) {
+                    this.bestSoFar = { move, score, depth, pv: bestPV };
+                }
+            }
+            
+            // 需要前 multiPV 个着法的准确得分时，窗口下界取目前第 multiPV 高的得分
+            const multiPV = this.settings.multiPV || 1;
+            if (multiPV > 1) {
+                alpha = scores.length >= multiPV
+                    ? scores.map(entry => entry.score).sort((a, b) => b - a)[multiPV - 1]
+                    : -Infinity;
             }
         }
         
-        const searchTime = Date.now() - startTime;
-        this.log(`搜索完成: 最佳位置 ${bestMove}, 得分 ${bestScore}, 耗时 ${searchTime}ms, 搜索节点 ${this.searchNodes}, 剪枝 ${this.pruningCount}`);
-        
+        // 除得分最高的 multiPV 个着法外，其余着法的得分只是Alpha-Beta的上界
+        scores.sort((a, b) => b.score - a.score);
+        return { move: bestMove, score: bestScore, pv: bestPV, scores };
+    }
+
+    /**
+     * 开始记录一层迭代的搜索树，根节点代表当前局面
+     */
+    startSearchTree(board, player, depth) {
+        const root = this.createTreeNode(null, 3 - player, depth, -Infinity, Infinity);
+        this.searchTree = {
+            board: board.map(row => [...row]),
+            player,
+            depth,
+            root,
+            nodeCount: 1,
+            truncated: false  // 是否因 treeNodeLimit 没有记录完整
+        };
+        this.treeParent = root;
+        return this.searchTree;
+    }
+
+    /**
+     * 搜索树节点
+     * @param {Array|null} move - 进入该节点的着法，根节点为 null
+     * @param {Number} player - 走出该着法的一方，alpha/beta/score 都从这一方的角度记录
+     * @param {Number} depth - 走完这一手后的剩余深度
+     */
+    createTreeNode(move, player, depth, alpha, beta) {
         return {
-            move: bestMove,
-            score: bestScore,
+            move,
+            player,
+            depth,
+            alpha,
+            beta,
+            score: null,
+            win: false,      // 这一手直接成五
+            cutoff: false,   // 这一手的得分 >= beta，引起剪枝
+            pruned: 0,       // 因剪枝没有搜索的子节点数
+            fromTT: false,   // 子局面直接采用了置换表中的结果
+            children: []
+        };
+    }
+
+    /**
+     * 在搜索树中添加子节点，超过 treeNodeLimit 后不再记录
+     */
+    addTreeNode(parent, move, player, depth, alpha, beta) {
+        const tree = this.searchTree;
+        if (tree.nodeCount >= this.settings.treeNodeLimit) {
+            tree.truncated = true;
+            return null;
+        }
+        
+        const node = this.createTreeNode([move[0], move[1]], player, depth, alpha, beta);
+        parent.children.push(node);
+        tree.nodeCount++;
+        return node;
+    }
+
+    /**
+     * 补全主变化：子节点因置换表命中提前返回时主变化会被截断，
+     * 这时沿置换表中记录的最佳着法继续往下走，最多补到 depth 手
+     */
+    completePV(board, pv, depth) {
+        const line = pv.slice();
+        for (const [row, col, player] of line) {
+            this.makeMove(board, row, col, player);
+        }
+        
+        while (line.length > 0 && line.length < depth) {
+            const [lastRow, lastCol, lastPlayer] = line[line.length - 1];
+            if (this.rules.isWinningMove(board, lastRow, lastCol, lastPlayer)) break;
+            
+            const player = 3 - lastPlayer;
+            const entry = this.probeTT(player);
+            if (!entry || entry.move === null) break;
+            
+            const row = Math.floor(entry.move / this.boardSize);
+            const col = entry.move % this.boardSize;
+            if (board[row][col] !== 0) break;
+            
+            this.makeMove(board, row, col, player);
+            line.push([row, col, player]);
+        }
+        
+        for (let i = line.length - 1; i >= 0; i--) {
+            const [row, col, player] = line[i];
+            this.unmakeMove(board, row, col, player);
+        }
+        return line;
+    }
+
+    /**
+     * 主变化的文本形式，如 (7, 7) → (8, 8)
+     */
+    formatPV(pv) {
+        return pv.map(([row, col]) => `(${row}, ${col})`).join(' → ');
+    }
+
+    /**
+     * 检查是否超出时间预算（超时后置 aborted 标志，搜索逐层退出）
+     */
+    isTimeUp() {
+        if (!this.aborted && Date.now() > this.deadline) {
+            this.aborted = true;
+        }
+        return this.aborted;
+    }
+
+    /**
+     * 搜索开始前先汇报排序第一的候选点（深度 0），在VCF/VCT或第一层搜索完成前停止时也有着法可用
+     */
+    reportFirstCandidate(move, player) {
+        if (!move) return;
+        
+        const [row, col] = move;
+        this.bestSoFar = { move: [row, col], score: 0, depth: 0, pv: [[row, col, player]] };
+        this.reportProgress(true);
+    }
+
+    /**
+     * 通过 onProgress 回调汇报搜索进度（默认每100ms最多一次）
+     */
+    reportProgress(force = false) {
+        if (!this.onProgress) return;
+        
+        const now = Date.now();
+        if (!force && now - this.lastProgressTime < 100) return;
+        this.lastProgressTime = now;
+        
+        this.onProgress({
             searchNodes: this.searchNodes,
             pruningCount: this.pruningCount,
-            searchTime: searchTime,
-            logs: this.logs
-        };
+            depth: this.currentDepth,
+            move: this.bestSoFar ? this.bestSoFar.move : null,
+            score: this.bestSoFar ? this.bestSoFar.score : null,
+            moveDepth: this.bestSoFar ? this.bestSoFar.depth : 0,
+            pv: this.bestSoFar ? this.bestSoFar.pv : null,
+            elapsed: now - this.startTime
+        });
     }
 
     /**
@@ -112,18 +651,38 @@ class GomokuAI {
      */
     alphaBetaSearch(board, depth, alpha, beta, player) {
         this.searchNodes++;
+        // 本节点的主变化，返回后由父节点读取；提前返回时为空
+        this.lastPV = [];
         
-        // 叶子节点或游戏结束
-        if (depth === 0) {
-            return this.evaluateBoard(board, player);
+        // 每1024个节点检查一次时间并汇报进度
+        if (this.aborted) return 0;
+        if ((this.searchNodes & 1023) === 0) {
+            if (this.isTimeUp()) return 0;
+            this.reportProgress();
         }
         
-        // 检查胜负
-        const winner = this.checkWinner(board);
-        if (winner === player) {
-            return 10000 + depth;  // 胜利，加上深度优先
-        } else if (winner === 3 - player) {
-            return -10000 - depth; // 失败，减去深度优先
+        // 查询置换表
+        const alphaOrig = alpha;
+        let ttMove = null;
+        const entry = this.probeTT(player);
+        if (entry) {
+            this.ttHits++;
+            ttMove = entry.move;
+            if (entry.depth >= depth) {
+                const score = this.adjustWinScore(entry.score, entry.depth, depth);
+                if (entry.flag === TT_LOWER) alpha = Math.max(alpha, score);
+                else if (entry.flag === TT_UPPER) beta = Math.min(beta, score);
+                if (entry.flag === TT_EXACT || alpha >= beta) {
+                    if (this.treeParent) this.treeParent.fromTT = true;
+                    return score;
+                }
+            }
+        }
+        
+        // 叶子节点：棋型分可能超过杀棋分数，限制在 ±9999 以内，
+        // 否则一个活四的静态评估会被当成已经证明的胜负而提前结束迭代加深
+        if (depth === 0) {
+            return Math.max(-9999, Math.min(9999, this.evaluateLeaf(board, player)));
         }
         
         // 生成候选着点
@@ -133,39 +692,400 @@ class GomokuAI {
             return 0; // 平局
         }
         
+        // 置换表中的最佳着法、杀手着法和历史得分高的着法优先搜索
+        const ply = this.currentDepth - depth;
+        this.orderMoves(candidates, player, ply, ttMove);
+        
         let maxScore = -Infinity;
+        let bestMove = null;
+        let bestLine = [];
         
         for (const move of candidates) {
             const [row, col] = move;
             
             // 模拟落子
-            board[row][col] = player;
+            this.makeMove(board, row, col, player);
             
-            // 递归搜索
-            const score = -this.alphaBetaSearch(
-                board,
-                depth - 1,
-                -beta,
-                -alpha,
-                3 - player
-            );
+            // 记录搜索树：节点的 alpha/beta/score 都从落子方的角度记录
+            const parentNode = this.treeParent;
+            const treeNode = parentNode ? this.addTreeNode(parentNode, move, player, depth - 1, alpha, beta) : null;
+            this.treeParent = treeNode;
+            
+            // 这一手成五即胜（剩余深度越大胜得越快，分数越高），否则递归搜索
+            const winning = this.rules.isWinningMove(board, row, col, player);
+            const score = winning
+                ? 10000 + depth
+                : -this.alphaBetaSearch(
+                    board,
+                    depth - 1,
+                    -beta,
+                    -alpha,
+                    3 - player
+                );
+            const childLine = winning ? [] : this.lastPV;
+            
+            this.treeParent = parentNode;
+            if (treeNode) {
+                treeNode.score = score;
+                treeNode.win = winning;
+            }
             
             // 撤销落子
-            board[row][col] = 0;
+            this.unmakeMove(board, row, col, player);
+            
+            // 超时后的结果不可信，直接退出且不写入置换表
+            if (this.aborted) {
+                this.lastPV = [];
+                return 0;
+            }
             
-            maxScore = Math.max(maxScore, score);
+            if (score > maxScore) {
+                maxScore = score;
+                bestMove = move;
+                bestLine = [[row, col, player], ...childLine];
+            }
             alpha = Math.max(alpha, score);
             
             // Beta剪枝
             if (alpha >= beta) {
                 this.pruningCount++;
+                if (move === candidates[0]) this.firstMoveCutoffs++;
+                this.recordCutoff(move, player, ply, depth);
+                if (treeNode) {
+                    treeNode.cutoff = true;
+                    parentNode.pruned = candidates.length - 1 - candidates.indexOf(move);
+                }
                 break;
             }
         }
         
+        // 写入置换表
+        let flag = TT_EXACT;
+        if (maxScore <= alphaOrig) flag = TT_UPPER;
+        else if (maxScore >= beta) flag = TT_LOWER;
+        this.storeTT(player, depth, maxScore, flag, bestMove);
+        
+        this.lastPV = bestLine;
         return maxScore;
     }
 
+    /**
+     * 初始化着法排序用的杀手着法表和历史表
+     */
+    initMoveOrdering() {
+        const cells = this.boardSize * this.boardSize;
+        this.killerMoves = [];  // 每层两个杀手着法（row * boardSize + col），按层数 ply 索引
+        this.historyScores = [null, new Float64Array(cells), new Float64Array(cells)];
+    }
+
+    /**
+     * 每次搜索开始时清空杀手着法和历史得分，不同局面之间的剪枝经验不通用
+     */
+    resetMoveOrdering() {
+        this.killerMoves = [];
+        this.historyScores[1].fill(0);
+        this.historyScores[2].fill(0);
+    }
+
+    /**
+     * 当前生效的着法排序启发，随搜索结果一起返回，供日志页分组统计
+     */
+    getMoveOrderingSettings() {
+        return {
+            killerMoves: !!this.settings.useKillerMoves,
+            historyHeuristic: !!this.settings.useHistoryHeuristic
+        };
+    }
+
+    /**
+     * 对候选点重新排序：置换表着法最先，其次是快速评估最高的着法（通常是成五、冲四或必须防守的点，
+     * 排到杀手着法后面反而剪枝更少），然后是本层的杀手着法，其余按历史得分从高到低；
+     * 历史得分相同时保持快速评估的顺序
+     * @param {Number|null} ttMove - 置换表中记录的最佳着法（row * boardSize + col）
+     */
+    orderMoves(candidates, player, ply, ttMove) {
+        const killers = this.settings.useKillerMoves ? this.killerMoves[ply] || [] : [];
+        const history = this.settings.useHistoryHeuristic ? this.historyScores[player] : null;
+        if (ttMove === null && killers.length === 0 && !history) return;
+
+        const keyed = candidates.map((move, index) => {
+            const key = move[0] * this.boardSize + move[1];
+            let priority = 0;
+            if (key === ttMove) priority = 3;
+            else if (index === 0) priority = 2;
+            else if (killers.includes(key)) priority = 1;
+            return { move, index, priority, history: history ? history[key] : 0 };
+        });
+        keyed.sort((a, b) => b.priority - a.priority || b.history - a.history || a.index - b.index);
+        keyed.forEach(({ move }, i) => { candidates[i] = move; });
+    }
+
+    /**
+     * 记录引起Beta剪枝的着法：放入本层杀手着法，并按剩余深度的平方累加历史得分
+     */
+    recordCutoff(move, player, ply, depth) {
+        const key = move[0] * this.boardSize + move[1];
+        
+        if (this.settings.useKillerMoves) {
+            const killers = this.killerMoves[ply] || (this.killerMoves[ply] = []);
+            if (killers[0] !== key) {
+                killers.unshift(key);
+                killers.length = Math.min(killers.length, 2);
+            }
+        }
+        if (this.settings.useHistoryHeuristic) {
+            this.historyScores[player][key] += depth * depth;
+        }
+    }
+
+    /**
+     * 单步调试用的搜索：从当前局面开始逐节点执行Alpha-Beta，由界面驱动
+     * 棋盘会被复制，调试过程中不影响对局
+     * @param {Number} depth - 搜索深度，调试时宜取 2 ~ 3 层
+     * @param {Number} candidateCount - 每个节点展开的候选点数
+     * @returns {Generator} - 逐个产出搜索事件，结束时返回 { move, score }
+     */
+    debugSearch(board, player, depth, candidateCount = this.settings.candidateCount) {
+        return this.alphaBetaSteps(board.map(row => [...row]), depth, -Infinity, Infinity, player, [], candidateCount);
+    }
+
+    /**
+     * Alpha-Beta搜索的生成器形式，剪枝规则与 alphaBetaSearch 相同，着法只按快速评估排序，
+     * 不查置换表、不使用杀手着法和历史启发、不受时间限制，便于一步步观察。alphaBetaSearch 仍保持递归写法，以免拖慢正常搜索
+     *
+     * 产出的事件（path 为从调试起点到当前节点的着法 [[row, col, player], ...]，
+     * alpha/beta 都从当前节点行棋方 player 的角度记录）：
+     *   enter   进入节点
+     *   leaf    到达深度 0，静态评估得分 score
+     *   win     着法 move 直接成五，得分 score
+     *   update  子节点 move 返回得分 score，之后的 alpha/beta 和当前最佳着法 best
+     *   cutoff  score >= beta 发生剪枝，pruned 为没有搜索的着法
+     *   exit    节点返回得分 score 和最佳着法 move
+     * @returns {Object} - { move, score }
+     */
+    *alphaBetaSteps(board, depth, alpha, beta, player, path, candidateCount) {
+        yield { type: 'enter', path, depth, alpha, beta, player };
+        
+        if (depth === 0) {
+            const score = Math.max(-9999, Math.min(9999, this.evaluateBoard(board, player)));
+            yield { type: 'leaf', path, depth, alpha, beta, player, score };
+            return { move: null, score };
+        }
+        
+        const candidates = this.generateCandidateMoves(board, player, candidateCount);
+        let maxScore = candidates.length === 0 ? 0 : -Infinity;
+        let bestMove = null;
+        
+        for (let i = 0; i < candidates.length; i++) {
+            const [row, col] = candidates[i];
+            const move = [row, col, player];
+            
+            board[row][col] = player;
+            let score;
+            if (this.rules.isWinningMove(board, row, col, player)) {
+                score = 10000 + depth;
+                yield { type: 'win', path: [...path, move], depth, alpha, beta, player, move, score };
+            } else {
+                const child = yield* this.alphaBetaSteps(
+                    board, depth - 1, -beta, -alpha, 3 - player, [...path, move], candidateCount
+                );
+                score = -child.score;
+            }
+            board[row][col] = 0;
+            
+            if (score > maxScore) {
+                maxScore = score;
+                bestMove = move;
+            }
+            alpha = Math.max(alpha, score);
+            yield { type: 'update', path, depth, alpha, beta, player, move, score, best: bestMove };
+            
+            if (alpha >= beta) {
+                yield {
+                    type: 'cutoff', path, depth, alpha, beta, player, move, score,
+                    pruned: candidates.slice(i + 1).map(([r, c]) => [r, c, player])
+                };
+                break;
+            }
+        }
+        
+        yield { type: 'exit', path, depth, alpha, beta, player, move: bestMove, score: maxScore };
+        return { move: bestMove, score: maxScore };
+    }
+
+    /**
+     * 初始化Zobrist随机数表
+     * 每个交叉点、每种颜色对应一对32位随机数：key用于定位表项，lock用于校验
+     */
+    initZobrist() {
+        const cells = this.boardSize * this.boardSize;
+        // 固定种子的xorshift，保证不同实例之间哈希一致
+        let seed = 0x9e3779b9;
+        const next = () => {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            return seed >>> 0;
+        };
+        
+        this.zobristKeys = [null, new Uint32Array(cells), new Uint32Array(cells)];
+        this.zobristLocks = [null, new Uint32Array(cells), new Uint32Array(cells)];
+        for (let i = 0; i < cells; i++) {
+            this.zobristKeys[1][i] = next();
+            this.zobristLocks[1][i] = next();
+            this.zobristKeys[2][i] = next();
+            this.zobristLocks[2][i] = next();
+        }
+        // 轮到白方行棋时额外异或的值
+        this.zobristSideKey = next();
+        this.zobristSideLock = next();
+        
+        this.hash = { key: 0, lock: 0 };
+    }
+
+    /**
+     * 计算整个棋盘的Zobrist哈希
+     */
+    computeHash(board) {
+        let key = 0;
+        let lock = 0;
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                const piece = board[row][col];
+                if (piece === 0) continue;
+                const index = row * this.boardSize + col;
+                key ^= this.zobristKeys[piece][index];
+                lock ^= this.zobristLocks[piece][index];
+            }
+        }
+        return { key: key >>> 0, lock: lock >>> 0 };
+    }
+
+    /**
+     * 落子并增量更新哈希
+     */
+    makeMove(board, row, col, player) {
+        const index = row * this.boardSize + col;
+        board[row][col] = player;
+        this.hash.key = (this.hash.key ^ this.zobristKeys[player][index]) >>> 0;
+        this.hash.lock = (this.hash.lock ^ this.zobristLocks[player][index]) >>> 0;
+        if (this.evaluator) this.evaluator.update(row, col);
+    }
+
+    /**
+     * 撤销落子并还原哈希
+     */
+    unmakeMove(board, row, col, player) {
+        const index = row * this.boardSize + col;
+        board[row][col] = 0;
+        this.hash.key = (this.hash.key ^ this.zobristKeys[player][index]) >>> 0;
+        this.hash.lock = (this.hash.lock ^ this.zobristLocks[player][index]) >>> 0;
+        if (this.evaluator) this.evaluator.update(row, col);
+    }
+
+    /**
+     * 初始化置换表（定长数组，按哈希低位寻址）
+     */
+    initTranspositionTable() {
+        const size = 1 << this.settings.ttSizeBits;
+        this.ttMask = size - 1;
+        this.ttLocks = new Uint32Array(size);
+        this.ttDepths = new Int8Array(size).fill(-1); // -1 表示空项
+        this.ttScores = new Float64Array(size);
+        this.ttFlags = new Uint8Array(size);
+        this.ttMoves = new Int16Array(size);
+    }
+
+    /**
+     * 清空置换表
+     */
+    clearTranspositionTable() {
+        if (this.ttDepths) this.ttDepths.fill(-1);
+    }
+
+    /**
+     * 每次搜索开始时调用：第一次使用时分配置换表，容量改变时重新分配；
+     * 影响得分的设置（权重、规则、候选点等）在复用的实例上改变后，置换表中的旧结果不再可信
+     */
+    syncTranspositionTable() {
+        if (!this.settings.useTranspositionTable) return;
+        
+        const {
+            timeLimit, multiPV, openingBook, useOpeningBook, openingBookMaxMoves, recordTree, treeNodeLimit,
+            ...scoring
+        } = this.settings;
+        const key = JSON.stringify(scoring);
+        if (!this.ttDepths || this.ttMask !== (1 << this.settings.ttSizeBits) - 1) {
+            this.initTranspositionTable();
+        } else if (key !== this.ttSettingsKey) {
+            this.clearTranspositionTable();
+        }
+        this.ttSettingsKey = key;
+    }
+
+    /**
+     * 胜负分数为 10000 + 取胜那一手所在节点的剩余深度，与节点离根的距离有关。
+     * 置换表中的分数在另一个剩余深度读出时，按存入时的深度保持离胜负的手数不变重新换算，
+     * 胜负已超出剩余深度时记为 ±10000
+     */
+    adjustWinScore(score, storedDepth, depth) {
+        if (Math.abs(score) < 10000) return score;
+        return Math.sign(score) * (10000 + Math.max(0, Math.abs(score) - 10000 + depth - storedDepth));
+    }
+
+    /**
+     * 当前局面（含行棋方）的置换表下标与校验值
+     */
+    getTTSlot(player) {
+        let key = this.hash.key;
+        let lock = this.hash.lock;
+        if (player === 2) {
+            key ^= this.zobristSideKey;
+            lock ^= this.zobristSideLock;
+        }
+        return { index: key & this.ttMask, lock: lock >>> 0 };
+    }
+
+    /**
+     * 查询置换表
+     * @returns {Object|null} - { depth, score, flag, move }，move 为 row * boardSize + col
+     */
+    probeTT(player) {
+        if (!this.settings.useTranspositionTable || !this.ttDepths) return null;
+        
+        const { index, lock } = this.getTTSlot(player);
+        if (this.ttDepths[index] < 0 || this.ttLocks[index] !== lock) {
+            return null;
+        }
+        
+        const move = this.ttMoves[index];
+        return {
+            depth: this.ttDepths[index],
+            score: this.ttScores[index],
+            flag: this.ttFlags[index],
+            move: move >= 0 ? move : null
+        };
+    }
+
+    /**
+     * 写入置换表：不同局面直接覆盖，同一局面只保留更深的结果
+     */
+    storeTT(player, depth, score, flag, move) {
+        if (!this.settings.useTranspositionTable || !this.ttDepths) return;
+        
+        const { index, lock } = this.getTTSlot(player);
+        if (this.ttDepths[index] > depth && this.ttLocks[index] === lock) {
+            return;
+        }
+        
+        this.ttLocks[index] = lock;
+        this.ttDepths[index] = depth;
+        this.ttScores[index] = score;
+        this.ttFlags[index] = flag;
+        this.ttMoves[index] = move ? move[0] * this.boardSize + move[1] : -1;
+        this.ttStores++;
+    }
+
     
 
     /**
@@ -182,10 +1102,21 @@ class GomokuAI {
         return myScore - opponentScore * this.settings.patternWeights.opponentThreat;
     }
 
+    /**
+     * 叶子节点评估：搜索中的棋盘已绑定增量评估器时只重算变化过的线
+     */
+    evaluateLeaf(board, player) {
+        if (this.settings.incrementalEval && this.evaluator && this.evaluator.board === board) {
+            return this.evaluator.evaluate(player);
+        }
+        return this.evaluateBoard(board, player);
+    }
+
     /**
      * 生成候选着点
+     * @param {Number} count - 最多保留的个数，默认为 candidateCount
      */
-    generateCandidateMoves(board, player) {
+    generateCandidateMoves(board, player, count = this.settings.candidateCount) {
         const moves = [];
         const moveScores = new Map();
         
@@ -199,6 +1130,11 @@ class GomokuAI {
                     continue;
                 }
                 
+                // 跳过禁手点
+                if (this.isForbiddenMove(board, row, col, player)) {
+                    continue;
+                }
+                
                 // 快速评估这个位置
                 const score = this.quickEvaluatePosition(board, row, col, player);
                 moveScores.set(`${row},${col}`, score);
@@ -213,7 +1149,22 @@ class GomokuAI {
             return scoreB - scoreA;
         });
         
-        return moves.slice(0, this.settings.candidateCount);
+        return moves.slice(0, count);
+    }
+
+    /**
+     * 超出 searchRange（附近没有棋子）而不参与搜索的空点
+     */
+    getOutOfRangeMoves(board) {
+        const moves = [];
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                if (board[row][col] === 0 && !this.hasNearbyPieces(board, row, col, this.settings.searchRange)) {
+                    moves.push([row, col]);
+                }
+            }
+        }
+        return moves;
     }
 
     /**
@@ -227,7 +1178,7 @@ class GomokuAI {
         const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
         for (const [dx, dy] of directions) {
             const lineStr = this.getLineString(board, row, col, dx, dy, player);
-            score += this.calculateLineScore(lineStr);
+            score += this.calculateLineScore(lineStr, player);
         }
         
         // 同时也评估一下是否阻断了对手
@@ -236,7 +1187,7 @@ class GomokuAI {
             // 注意：这里需要假设该位置是对手的，生成的LineString要把当前位置视为对手
             // 为了性能，简单近似：获取如果是对手落子的棋型分
             const lineStr = this.getLineString(board, row, col, dx, dy, opponent, true); 
-            score += this.calculateLineScore(lineStr) * 0.8; 
+            score += this.calculateLineScore(lineStr, opponent) * 0.8; 
         }
 
         board[row][col] = 0;
@@ -248,16 +1199,16 @@ class GomokuAI {
         
         // 扫描所有行
         for (let i = 0; i < this.boardSize; i++) {
-            totalScore += this.calculateLineScore(this.getRowString(board, i, player));
+            totalScore += this.calculateLineScore(this.getRowString(board, i, player), player);
         }
         // 扫描所有列
         for (let i = 0; i < this.boardSize; i++) {
-            totalScore += this.calculateLineScore(this.getColString(board, i, player));
+            totalScore += this.calculateLineScore(this.getColString(board, i, player), player);
         }
         // 扫描所有对角线
         const diags = this.getAllDiagonals(board, player);
         for (const dStr of diags) {
-            totalScore += this.calculateLineScore(dStr);
+            totalScore += this.calculateLineScore(dStr, player);
         }
         
         return totalScore;
@@ -265,13 +1216,14 @@ class GomokuAI {
     /**
      * 计算单行字符串的分数
      * 字符串格式说明：'2011102' (2=边界/敌方, 0=空, 1=己方)
+     * @param {Number} player - 字符串中 '1' 所代表的一方，决定按哪一方的规则判定连五
      */
-    calculateLineScore(lineStr) {
+    calculateLineScore(lineStr, player = 1) {
         let score = 0;
         // 必须按优先级匹配：长连 -> 活四 -> 眠四 -> 活三 ...
         // 匹配到一个后，最好将其替换掉以免重复计算，或者简单累加
         
-        for (const pattern of this.patterns) {
+        for (const pattern of this.playerPatterns[player]) {
             const matches = lineStr.match(pattern.regex);
             if (matches) {
                 // 如果发现高等级棋型，直接加分。
@@ -380,6 +1332,13 @@ class GomokuAI {
         return diags;
     }
 
+    /**
+     * 是否为禁手：仅连珠规则下的黑方有禁手
+     */
+    isForbiddenMove(board, row, col, player) {
+        return player === 1 && this.renju !== null && this.renju.isForbidden(board, row, col);
+    }
+
     /**
      * 检查位置周围是否有棋子
      */
@@ -505,8 +1464,10 @@ class GomokuAI {
             }
         }
         
-        // 识别棋型
-        if (count >= 5) return 'liveFive';
+        // 识别棋型：五子以上按当前规则判定是否为胜利，不算胜利的长连/死五没有价值
+        if (count >= 5) {
+            return this.rules.isFiveInDirection(board, row, col, dx, dy, player) ? 'liveFive' : null;
+        }
         if (count === 4) {
             return blocked === 0 ? 'liveFour' : 'deadFour';
         }
@@ -553,37 +1514,10 @@ class GomokuAI {
     }
 
     /**
-     * 检查五子连珠
+     * 检查五子连珠（按当前规则判定）
      */
     hasFiveInARow(board, player) {
-        const directions = [
-            [0, 1], [1, 0], [1, 1], [1, -1]
-        ];
-        
-        for (let row = 0; row < this.boardSize; row++) {
-            for (let col = 0; col < this.boardSize; col++) {
-                if (board[row][col] !== player) continue;
-                
-                for (const [dx, dy] of directions) {
-                    let count = 1;
-                    let r = row + dx;
-                    let c = col + dy;
-                    
-                    while (r >= 0 && r < this.boardSize && c >= 0 && c < this.boardSize && 
-                           board[r][c] === player) {
-                        count++;
-                        r += dx;
-                        c += dy;
-                    }
-                    
-                    if (count >= 5) {
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        return false;
+        return this.rules.hasFive(board, player);
     }
 
     /**
@@ -600,6 +1534,81 @@ class GomokuAI {
         return true;
     }
 
+    /**
+     * 开局局面中黑方的静态优势（黑方棋型分 - 白方棋型分）
+     */
+    getBlackAdvantage(board) {
+        return this.evaluatePatternsForPlayer(board, 1) - this.evaluatePatternsForPlayer(board, 2);
+    }
+
+    /**
+     * 开局放子：选择落下后双方最接近均势的位置，让对方的交换决定难以占便宜
+     * @returns {Array} - [row, col]
+     */
+    chooseBalancedMove(board, player) {
+        const center = Math.floor(this.boardSize / 2);
+        if (board.every(row => row.every(cell => cell === 0))) {
+            return [center, center];
+        }
+
+        let bestMoves = [];
+        let bestImbalance = Infinity;
+        for (const [row, col] of this.generateCandidateMoves(board, player)) {
+            board[row][col] = player;
+            const imbalance = Math.abs(this.getBlackAdvantage(board));
+            board[row][col] = 0;
+
+            if (imbalance < bestImbalance) {
+                bestImbalance = imbalance;
+                bestMoves = [[row, col]];
+            } else if (imbalance === bestImbalance) {
+                bestMoves.push([row, col]);
+            }
+        }
+        // 同样均衡的位置随机选一个，避免每局开局相同
+        return bestMoves[Math.floor(Math.random() * bestMoves.length)];
+    }
+
+    /**
+     * 开局选色：选择静态评估占优的一方；局面接近均势且允许时选择再放两子（Swap2）
+     * @returns {Number|String} - 1=执黑, 2=执白, 'placeTwo'=再放两子
+     */
+    chooseOpeningColor(board, allowPlaceTwo = false) {
+        const advantage = this.getBlackAdvantage(board);
+        if (allowPlaceTwo && Math.abs(advantage) < this.settings.patternWeights.liveTwo) {
+            return 'placeTwo';
+        }
+        return advantage > 0 ? 1 : 2;
+    }
+
+    /**
+     * Soosõrv 第5手：黑方给出若干个候选点，白方会挑走最差的一个，因此都取最强的点
+     * @returns {Array} - [[row, col], ...]
+     */
+    chooseFifthCandidates(board, count) {
+        return this.generateCandidateMoves(board, 1).slice(0, count);
+    }
+
+    /**
+     * Soosõrv 第5手：白方从黑方的候选点中选出对黑方最不利的一个
+     * @returns {Array} - [row, col]
+     */
+    chooseWeakestCandidate(board, candidates) {
+        let weakest = candidates[0];
+        let lowest = Infinity;
+        for (const [row, col] of candidates) {
+            board[row][col] = 1;
+            const advantage = this.getBlackAdvantage(board);
+            board[row][col] = 0;
+
+            if (advantage < lowest) {
+                lowest = advantage;
+                weakest = [row, col];
+            }
+        }
+        return weakest;
+    }
+
     /**
      * 记录日志
      */
@@ -627,5 +1636,10 @@ class GomokuAI {
     }
 }
 
-// 导出类
-window.GomokuAI = GomokuAI;
\ No newline at end of file
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_PATTERN_WEIGHTS, GomokuAI };
+} else {
+    self.DEFAULT_PATTERN_WEIGHTS = DEFAULT_PATTERN_WEIGHTS;
+    self.GomokuAI = GomokuAI;
+}
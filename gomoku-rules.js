@@ -0,0 +1,143 @@
+/**
+ * 五子棋胜负规则
+ * 不同规则只在“什么样的连子算赢”上有区别：
+ *   freestyle 自由规则：五子及以上连成一线即胜（长连也算赢）
+ *   standard  标准五子棋：正好五子才算赢，长连不算
+ *   caro      Caro：五子及以上，但两端都被对方棋子或棋盘边缘堵住时不算赢
+ *   renju     连珠：黑方正好五子才算赢（长连是禁手），白方五子及以上即胜
+ * 终局判断、VCF/VCT的成五点以及棋型评估中的“连五”都通过这里判定。
+ */
+
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./renju-rules.js'));
+}
+
+const RULE_VARIANTS = {
+    freestyle: '自由规则',
+    standard: '标准五子棋',
+    caro: 'Caro',
+    renju: '连珠'
+};
+
+class GomokuRules {
+    /**
+     * @param {String} variant - 'freestyle' | 'standard' | 'caro' | 'renju'
+     * @param {Number} boardSize - 棋盘大小
+     */
+    constructor(variant = 'freestyle', boardSize = 15) {
+        this.variant = RULE_VARIANTS[variant] ? variant : 'freestyle';
+        this.name = RULE_VARIANTS[this.variant];
+        this.boardSize = boardSize;
+        this.directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+        // 连珠规则下黑方的禁手判定
+        this.renju = this.variant === 'renju' ? new RenjuRules(boardSize) : null;
+    }
+
+    /**
+     * 一段连子是否构成胜利
+     * @param {Number} count - 连续棋子数
+     * @param {Number} blocked - 两端被堵住的数量（对方棋子或棋盘边缘）
+     */
+    isWinningRun(count, blocked, player) {
+        switch (this.variant) {
+            case 'standard':
+                return count === 5;
+            case 'caro':
+                return count >= 5 && blocked < 2;
+            case 'renju':
+                return player === 1 ? count === 5 : count >= 5;
+            default:
+                return count >= 5;
+        }
+    }
+
+    /**
+     * 经过 (row, col) 某个方向上的连子数和两端被堵数，(row, col) 视为己方棋子
+     */
+    getRun(board, row, col, dx, dy, player) {
+        let count = 1;
+        let blocked = 0;
+
+        for (const sign of [1, -1]) {
+            let r = row + sign * dx;
+            let c = col + sign * dy;
+            while (this.isInside(r, c) && board[r][c] === player) {
+                count++;
+                r += sign * dx;
+                c += sign * dy;
+            }
+            if (!this.isInside(r, c) || board[r][c] === 3 - player) {
+                blocked++;
+            }
+        }
+        return { count, blocked };
+    }
+
+    /**
+     * 经过 (row, col) 的某个方向上是否形成胜利的连子
+     */
+    isFiveInDirection(board, row, col, dx, dy, player) {
+        const { count, blocked } = this.getRun(board, row, col, dx, dy, player);
+        return this.isWinningRun(count, blocked, player);
+    }
+
+    /**
+     * 刚落在 (row, col) 的棋子是否构成胜利（只检查经过该点的四条线）
+     */
+    isWinningMove(board, row, col, player) {
+        return this.directions.some(([dx, dy]) => this.isFiveInDirection(board, row, col, dx, dy, player));
+    }
+
+    /**
+     * 某一方在棋盘上是否已经获胜
+     */
+    hasFive(board, player) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                if (board[row][col] !== player) continue;
+
+                for (const [dx, dy] of this.directions) {
+                    // 只从每段连子的起点检查一次
+                    const pr = row - dx;
+                    const pc = col - dy;
+                    if (this.isInside(pr, pc) && board[pr][pc] === player) continue;
+
+                    if (this.isFiveInDirection(board, row, col, dx, dy, player)) {
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 棋型字符串中“连五”的正则（'1'=己方，'0'=空，'2'=对方或边界）
+     */
+    getFiveRegex(player) {
+        switch (this.variant) {
+            case 'standard':
+                return /(?<!1)11111(?!1)/;
+            case 'caro':
+                return /(?<![12])1{5,}|1{5,}(?![12])/;
+            case 'renju':
+                return player === 1 ? /(?<!1)11111(?!1)/ : /11111/;
+            default:
+                return /11111/;
+        }
+    }
+
+    isInside(row, col) {
+        return row >= 0 && row < this.boardSize && col >= 0 && col < this.boardSize;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RULE_VARIANTS, GomokuRules };
+} else {
+    self.RULE_VARIANTS = RULE_VARIANTS;
+    self.GomokuRules = GomokuRules;
+}
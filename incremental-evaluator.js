@@ -0,0 +1,151 @@
+/**
+ * 五子棋增量评估器
+ * 缓存每条线（行、列、两个方向的对角线）对双方的棋型得分，
+ * 落子/撤子时只把经过该点的四条线标记为脏，评估时重新计算脏线。
+ * 线的划分、字符串格式和累加顺序都与 GomokuAI.evaluatePatternsForPlayer 一致，
+ * 因此得分与全盘扫描完全相同。
+ */
+
+class IncrementalEvaluator {
+    /**
+     * @param {GomokuAI} ai - 提供 calculateLineScore 和棋型权重的AI实例
+     */
+    constructor(ai) {
+        this.ai = ai;
+        this.boardSize = ai.boardSize;
+        this.board = null;
+
+        this.lines = [];      // 每条线经过的格子 [[row, col], ...]
+        this.cellLines = [];  // 每个格子所在的线编号
+        this.buildLines();
+
+        const count = this.lines.length;
+        this.scores = [null, new Float64Array(count), new Float64Array(count)];
+        this.dirty = new Uint8Array(count);
+        this.dirtyList = [];
+    }
+
+    /**
+     * 按 getRowString / getColString / getAllDiagonals 的顺序划分所有线
+     */
+    buildLines() {
+        const size = this.boardSize;
+        for (let i = 0; i < size * size; i++) {
+            this.cellLines.push([]);
+        }
+
+        const addLine = (cells) => {
+            const id = this.lines.length;
+            this.lines.push(cells);
+            for (const [row, col] of cells) {
+                this.cellLines[row * size + col].push(id);
+            }
+        };
+
+        // 行
+        for (let row = 0; row < size; row++) {
+            addLine(Array.from({ length: size }, (_, col) => [row, col]));
+        }
+        // 列
+        for (let col = 0; col < size; col++) {
+            addLine(Array.from({ length: size }, (_, row) => [row, col]));
+        }
+        // 主对角线 (k = row - col)，只保留长度 >= 5 的线
+        for (let k = -(size - 5); k <= size - 5; k++) {
+            const cells = [];
+            for (let row = 0; row < size; row++) {
+                const col = row - k;
+                if (col >= 0 && col < size) cells.push([row, col]);
+            }
+            addLine(cells);
+        }
+        // 副对角线 (k = row + col)
+        for (let k = 4; k <= 2 * (size - 1) - 4; k++) {
+            const cells = [];
+            for (let row = 0; row < size; row++) {
+                const col = k - row;
+                if (col >= 0 && col < size) cells.push([row, col]);
+            }
+            addLine(cells);
+        }
+    }
+
+    /**
+     * 绑定棋盘并将所有线标记为脏
+     */
+    reset(board) {
+        this.board = board;
+        this.dirtyList = [];
+        for (let id = 0; id < this.lines.length; id++) {
+            this.dirty[id] = 1;
+            this.dirtyList.push(id);
+        }
+    }
+
+    /**
+     * 某个交叉点的棋子发生变化（落子或撤子）
+     */
+    update(row, col) {
+        for (const id of this.cellLines[row * this.boardSize + col]) {
+            if (!this.dirty[id]) {
+                this.dirty[id] = 1;
+                this.dirtyList.push(id);
+            }
+        }
+    }
+
+    /**
+     * 重新计算所有脏线的得分
+     */
+    refresh() {
+        for (const id of this.dirtyList) {
+            this.scores[1][id] = this.ai.calculateLineScore(this.getLineString(id, 1), 1);
+            this.scores[2][id] = this.ai.calculateLineScore(this.getLineString(id, 2), 2);
+            this.dirty[id] = 0;
+        }
+        this.dirtyList = [];
+    }
+
+    /**
+     * 生成某条线的标准化字符串（两端加边界 '2'）
+     */
+    getLineString(id, player) {
+        let str = "2";
+        for (const [row, col] of this.lines[id]) {
+            const val = this.board[row][col];
+            str += (val === player ? "1" : (val === 0 ? "0" : "2"));
+        }
+        return str + "2";
+    }
+
+    /**
+     * 某一方所有线的得分之和
+     */
+    getPlayerScore(player) {
+        const scores = this.scores[player];
+        let total = 0;
+        for (let id = 0; id < scores.length; id++) {
+            total += scores[id];
+        }
+        return total;
+    }
+
+    /**
+     * 评估当前局面，与 GomokuAI.evaluateBoard 的结果一致
+     */
+    evaluate(player) {
+        this.refresh();
+
+        const myScore = this.getPlayerScore(player);
+        const opponentScore = this.getPlayerScore(3 - player);
+
+        return myScore - opponentScore * this.ai.settings.patternWeights.opponentThreat;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IncrementalEvaluator };
+} else {
+    self.IncrementalEvaluator = IncrementalEvaluator;
+}
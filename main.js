@@ -3,37 +3,118 @@
  * 包含游戏逻辑、UI控制、页面切换等功能
  */
 
+// 提示时标出的候选着法数
+const HINT_COUNT = 3;
+
+// 对局分析中各种着法评价的颜色（形势图和表格共用）
+const ANALYSIS_COLORS = {
+    good: '#4ade80',
+    inaccuracy: '#facc15',
+    mistake: '#fb923c',
+    blunder: '#f87171'
+};
+
+/**
+ * 开局协议：按顺序执行的步骤
+ *   place      某一方连续放置 count 颗棋子（颜色按手数黑白交替）
+ *   choose     某一方选择执黑或执白（Swap2 的第一次选择还可以再放两子）
+ *   candidates 黑方放置若干个第5手候选点（Soosõrv）
+ *   pick       白方从候选点中选定第5手，其余候选点撤掉
+ * role 为 'first'（开局方）/ 'second'（选择方），或按当前执色解析的 'black' / 'white'
+ */
+const OPENING_PROTOCOLS = {
+    swap: {
+        name: 'Swap',
+        steps: [
+            { type: 'place', role: 'first', count: 3 },
+            { type: 'choose', role: 'second' }
+        ]
+    },
+    swap2: {
+        name: 'Swap2',
+        steps: [
+            { type: 'place', role: 'first', count: 3 },
+            { type: 'choose', role: 'second', allowPlaceTwo: true }
+        ]
+    },
+    soosorv: {
+        name: 'Soosõrv',
+        steps: [
+            { type: 'place', role: 'first', count: 3 },
+            { type: 'choose', role: 'second' },
+            { type: 'place', role: 'white', count: 1 },
+            { type: 'choose', role: 'black' },
+            { type: 'candidates', role: 'black' },
+            { type: 'pick', role: 'white' }
+        ]
+    }
+};
+
 class GomokuGame {
     constructor() {
-        this.boardSize = 15;
         this.board = [];
         this.currentPlayer = 1; // 1=黑, 2=白
         this.gameOver = false;
         this.winner = null;
-        this.moveHistory = [];
+        this.gameTree = new GameTree(); // 对局树（主线和变化），棋盘为 gameTree.current 的局面
         this.aiThinking = false;
+        this.forcedWinSequence = null; // AI找到的强制取胜序列 [[row, col, player], ...]
+        this.aiPlan = null;            // AI上一步预期的主变化 [[row, col, player], ...]
+        this.showAIPlan = false;       // “显示AI计划”开关是否打开
+        this.previewAIPlan = false;    // 鼠标悬停在开关上时临时显示
+        this.scoreOverlay = null;      // 上一次AI搜索的根节点评分 { scores, cutMoves, outOfRangeMoves }，下一手落子后清除
+        this.showHeatmap = false;      // “评分热力图”开关是否打开
+        this.hints = null;             // 提示的候选着法 [{ move: [row, col], score }, ...]，按得分从高到低，局面变化后清除
+        this.hintCount = 0;            // 本局使用提示的次数
+        this.searchTree = null;        // 最近一次AI落子记录的搜索树，在日志页展示
+        this.debugSession = null;      // 单步调试状态 { steps, event, count, history, timer, result }
+        this.openingBook = this.loadOpeningBook(); // 自定义开局库数据，null 表示使用AI内置的开局库
+        this.forbiddenPoints = [];     // 连珠规则下黑方的禁手点 [[row, col, reason], ...]
+        this.opening = null;           // 进行中的开局协议状态，开局结束后为 null
+        this.openingMoves = 0;         // 开局协议中落下的棋子数（不能悔棋撤销）
+        this.aiColor = null;           // 开局协议分配给AI的执色，null 表示由玩家手动让AI落子
         
         // AI实例
         this.ai = null;
         
+        // AI搜索Worker
+        this.worker = null;
+        this.pendingSearch = null; // 正在进行的搜索请求
+        this.searchId = 0;
+        this.tournament = null;    // 进行中的自对弈比赛 { worker, report, stopped }
+        this.gameAnalysis = null;  // 对局分析 { worker, nodes, report, running }，结束后保留结果供日志页跳转
+        this.evalChart = null;     // 日志页的形势图（ECharts 实例）
+        
         // 默认设置
         this.defaultsettings = {
+            boardSize: 15,   // 棋盘大小 9 ~ 19，AI 通过 settings 获得
+            engine: 'alphabeta', // 'alphabeta' Alpha-Beta搜索 | 'mcts' 蒙特卡洛树搜索
+            mctsIterations: 20000,
+            mctsExploration: 1.4,
             searchDepth: 6,
+            timeLimit: 3000, // 每步思考时间(ms)，0 表示不限时
             candidateCount: 10,
             searchRange: 2,
-            patternWeights: {
-                liveFive: 100000,
-                liveFour: 100000,
-                deadFour: 500,
-                liveThree: 1000,
-                deadThree: 100,
-                liveTwo: 100,
-                deadTwo: 10,
-                opponentThreat: 1.2
-            }
+            ruleSet: 'freestyle', // 'freestyle' 自由 | 'standard' 正好五子 | 'caro' 两端被堵不算 | 'renju' 连珠（黑方禁手）
+            openingRule: 'none',  // 'none' | 'swap' | 'swap2' | 'soosorv'
+            openingAIRole: 'none', // AI担任的一方：'none' | 'first' 开局方 | 'second' 选择方
+            fifthCandidates: 2,   // Soosõrv 第5手候选点数
+            incrementalEval: true, // 叶子节点使用增量评估
+            useVCT: true,       // 搜索前先求解VCT必胜
+            vctDepth: 6,
+            vctNodeLimit: 3000,
+            useOpeningBook: true,      // 开局阶段先查开局库
+            openingBookMaxMoves: 12,   // 查库和学习的最多手数
+            useKillerMoves: true,      // 杀手着法排序
+            useHistoryHeuristic: false, // 历史启发排序
+            recordTree: false,  // 记录搜索树，在日志页查看
+            treeNodeLimit: 2000,
+            analysisTimeLimit: 1000, // 对局分析中每个局面的思考时间(ms)
+            patternWeights: { ...DEFAULT_PATTERN_WEIGHTS }
         };
 
         this.settings = structuredClone(this.defaultsettings);
+        this.boardSize = this.settings.boardSize; // 9 ~ 19
         
         // 页面元素
         this.canvas = null;
@@ -44,8 +125,16 @@ class GomokuGame {
         this.init();
     }
     
+    /**
+     * 当前局面的着法：从第一手到对局树的当前节点 [[row, col, player], ...]
+     */
+    get moveHistory() {
+        return this.gameTree.getMoves();
+    }
+    
     init() {
         this.initAI();
+        this.initWorker();
         this.initBoard();
         this.initCanvas();
         this.initEventListeners();
@@ -58,7 +147,505 @@ class GomokuGame {
      * 初始化AI
      */
     initAI() {
-        this.ai = new GomokuAI(this.settings);
+        const settings = this.getEngineSettings();
+        this.ai = settings.engine === 'mcts' ? new MCTSAI(settings) : new GomokuAI(settings);
+    }
+    
+    /**
+     * 传给AI的设置：页面设置加上开局库数据
+     */
+    getEngineSettings() {
+        return { ...this.settings, openingBook: this.openingBook };
+    }
+    
+    /**
+     * 初始化AI搜索Worker（环境不支持时回退到主线程搜索）
+     */
+    initWorker() {
+        if (typeof Worker === 'undefined') return;
+        
+        try {
+            this.worker = new Worker('ai-worker.js');
+        } catch (error) {
+            console.warn('无法创建AI Worker，将在主线程中搜索:', error);
+            this.worker = null;
+            return;
+        }
+        
+        this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+        this.worker.onerror = (e) => {
+            // 例如以 file:// 打开页面时脚本加载失败
+            e.preventDefault();
+            console.warn('AI Worker 出错，将在主线程中搜索:', e.message);
+            this.worker.terminate();
+            this.worker = null;
+            
+            // 正在等待的搜索改为在主线程完成
+            const pending = this.pendingSearch;
+            if (pending) {
+                this.pendingSearch = null;
+                this.runSearchOnMainThread(pending.board, pending.player, pending.type, pending.overrides)
+                    .then(pending.resolve, pending.reject);
+            }
+        };
+    }
+    
+    /**
+     * 运行AI搜索，优先在Worker中执行
+     * @param {String} type - 'search' 搜索最佳着法，'analyze' 必胜分析（VCF/VCT）
+     * @param {Object} overrides - 只用于这一次搜索的设置，例如提示时的 multiPV
+     * @returns {Promise<Object>} - findBestMove / analyzeForcedWin 的结果
+     */
+    runSearch(board, player, type = 'search', overrides = {}) {
+        if (!this.worker) {
+            return this.runSearchOnMainThread(board, player, type, overrides);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = ++this.searchId;
+            this.pendingSearch = {
+                id,
+                type,
+                board: board.map(row => [...row]),
+                player,
+                overrides,
+                resolve,
+                reject,
+                lastProgress: null,
+                startTime: Date.now()
+            };
+            this.worker.postMessage({ type, id, board, player, settings: this.getEngineSettings(), options: overrides });
+        });
+    }
+    
+    /**
+     * 在主线程中搜索（无法中途停止）
+     */
+    async runSearchOnMainThread(board, player, type = 'search', overrides = {}) {
+        // 使用setTimeout让UI更新
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return type === 'analyze'
+            ? this.ai.analyzeForcedWin(board, player)
+            : this.ai.withSettings(overrides, () => this.ai.findBestMove(board, player));
+    }
+    
+    /**
+     * 处理Worker消息
+     */
+    handleWorkerMessage(message) {
+        const pending = this.pendingSearch;
+        if (!pending || message.id !== pending.id) return;
+        
+        switch (message.type) {
+            case 'progress':
+                pending.lastProgress = message.progress;
+                this.updateSearchProgress(message.progress);
+                break;
+            case 'result':
+                this.pendingSearch = null;
+                pending.resolve(message.result);
+                break;
+            case 'error':
+                this.pendingSearch = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    }
+    
+    /**
+     * 停止当前搜索，采用目前为止找到的最佳着法
+     */
+    stopSearch() {
+        const pending = this.pendingSearch;
+        if (!pending || !this.worker) return;
+        
+        // Worker 正在同步搜索，无法响应消息，只能直接终止后重建
+        this.worker.terminate();
+        this.worker = null;
+        this.pendingSearch = null;
+        this.initWorker();
+        
+        if (pending.type === 'analyze') {
+            pending.resolve({
+                sequence: null,
+                stopped: true,
+                searchTime: Date.now() - pending.startTime,
+                logs: [{ type: 'info', message: '必胜分析已中止' }]
+            });
+            return;
+        }
+        
+        const progress = pending.lastProgress || {};
+        const searchNodes = progress.searchNodes || 0;
+        pending.resolve({
+            move: progress.move || null,
+            score: progress.score,
+            pv: progress.pv || null,
+            reachedDepth: progress.moveDepth || 0,
+            searchNodes,
+            pruningCount: progress.pruningCount || 0,
+            searchTime: Date.now() - pending.startTime,
+            stopped: true,
+            logs: [{
+                type: 'info',
+                message: progress.moveDepth
+                    ? `搜索已中止: 已搜索 ${searchNodes} 个节点，采用深度 ${progress.moveDepth} 的最佳着法`
+                    : `搜索已中止: 已搜索 ${searchNodes} 个节点，尚未完成第一层搜索，采用排序第一的候选点`
+            }]
+        });
+    }
+    
+    /**
+     * 开始自对弈比赛：两套设置都在当前设置的基础上覆盖参数，优先在独立的Worker中运行
+     */
+    startTournament() {
+        if (this.tournament) return;
+        
+        let overrides;
+        try {
+            overrides = ['a', 'b'].map(id => JSON.parse(document.getElementById(`tournament-profile-${id}`).value || '{}'));
+        } catch (error) {
+            this.showModal('比赛设置不是有效的JSON');
+            return;
+        }
+        
+        const profiles = overrides.map(override => Tournament.mergeProfile(this.getEngineSettings(), override));
+        const options = {
+            games: Math.max(1, parseInt(document.getElementById('tournament-games').value, 10) || 1),
+            openingMoves: parseInt(document.getElementById('tournament-opening').value, 10) || 0,
+            ruleSet: this.settings.ruleSet,
+            boardSize: this.settings.boardSize
+        };
+        
+        this.tournament = { worker: null, report: null, stopped: false };
+        this.showTournamentRunning(true);
+        this.renderTournament(null, `比赛进行中: 0/${options.games}`);
+        
+        if (typeof Worker === 'undefined') {
+            this.runTournamentOnMainThread(profiles, options);
+            return;
+        }
+        
+        // 使用独立的Worker，不影响对局中的AI搜索
+        const worker = new Worker('ai-worker.js');
+        this.tournament.worker = worker;
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                const { game, games, report } = message.progress;
+                this.renderTournament(report, `比赛进行中: ${game}/${games}`);
+            } else if (message.type === 'result') {
+                this.finishTournament(message.result);
+            } else if (message.type === 'error') {
+                this.finishTournament(this.tournament.report, `比赛出错: ${message.message}`);
+            }
+        };
+        worker.onerror = (e) => {
+            // 以 file:// 打开页面时无法创建Worker，改为在主线程逐局运行
+            e.preventDefault();
+            worker.terminate();
+            this.tournament.worker = null;
+            this.runTournamentOnMainThread(profiles, options);
+        };
+        worker.postMessage({ type: 'tournament', id: 1, profiles, options });
+    }
+    
+    /**
+     * 在主线程中逐局运行比赛，每局之间让出主线程刷新页面
+     */
+    async runTournamentOnMainThread(profiles, options) {
+        const state = this.tournament;
+        const tournament = new Tournament(profiles[0], profiles[1], options);
+        tournament.onProgress = ({ game, games, report }) => {
+            this.renderTournament(report, `比赛进行中: ${game}/${games}`);
+        };
+        
+        for (let game = 0; game < options.games; game++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            if (state.stopped) return;
+            tournament.playGame(game);
+        }
+        this.finishTournament(tournament.getReport());
+    }
+    
+    /**
+     * 停止比赛，保留已完成对局的结果
+     */
+    stopTournament() {
+        const state = this.tournament;
+        if (!state) return;
+        
+        state.stopped = true;
+        if (state.worker) {
+            state.worker.terminate();
+        }
+        this.finishTournament(state.report, '比赛已停止');
+    }
+    
+    finishTournament(report, status = '比赛结束') {
+        this.tournament = null;
+        this.showTournamentRunning(false);
+        this.renderTournament(report, status);
+        
+        if (report && report.games > 0) {
+            this.addLog({
+                type: 'info',
+                message: `${status}: ${Tournament.formatReport(report).split('\n').join('; ')}`,
+                data: report
+            });
+        }
+    }
+    
+    /**
+     * 对局分析：对当前变化的每个局面运行一次AI搜索，优先在独立的Worker中运行
+     */
+    startGameAnalysis() {
+        if (this.gameAnalysis && this.gameAnalysis.running) return;
+        
+        const nodes = this.gameTree.getLine();
+        if (nodes.length === 0) {
+            this.showModal('棋盘上还没有棋子，无法分析');
+            return;
+        }
+        
+        const moves = nodes.map(({ move }) => move);
+        const settings = { ...this.settings, timeLimit: this.settings.analysisTimeLimit };
+        this.gameAnalysis = { worker: null, nodes, report: null, running: true };
+        this.showAnalysisRunning(true);
+        this.renderGameAnalysis(`分析中: 0/${moves.length + 1}`);
+        
+        if (typeof Worker === 'undefined') {
+            this.runGameAnalysisOnMainThread(settings, moves);
+            return;
+        }
+        
+        // 使用独立的Worker，不影响对局中的AI搜索
+        const analysis = this.gameAnalysis;
+        const worker = new Worker('ai-worker.js');
+        analysis.worker = worker;
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                const { position, positions, report } = message.progress;
+                analysis.report = report;
+                this.renderGameAnalysis(`分析中: ${position}/${positions}`);
+            } else if (message.type === 'result') {
+                this.finishGameAnalysis(message.result);
+            } else if (message.type === 'error') {
+                this.finishGameAnalysis(analysis.report, `分析出错: ${message.message}`);
+            }
+        };
+        worker.onerror = (e) => {
+            // 以 file:// 打开页面时无法创建Worker，改为在主线程逐个局面分析
+            e.preventDefault();
+            worker.terminate();
+            analysis.worker = null;
+            this.runGameAnalysisOnMainThread(settings, moves);
+        };
+        worker.postMessage({ type: 'analyze-game', id: 1, moves, settings });
+    }
+    
+    /**
+     * 在主线程中逐个局面分析，每个局面之间让出主线程刷新页面
+     */
+    async runGameAnalysisOnMainThread(settings, moves) {
+        const analysis = this.gameAnalysis;
+        const analyzer = new GameAnalyzer(settings, moves);
+        analyzer.onProgress = ({ position, positions, report }) => {
+            analysis.report = report;
+            this.renderGameAnalysis(`分析中: ${position}/${positions}`);
+        };
+        
+        for (let ply = 0; ply <= moves.length; ply++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            if (!analysis.running) return;
+            analyzer.analyzePosition(ply);
+        }
+        this.finishGameAnalysis(analyzer.getReport());
+    }
+    
+    /**
+     * 停止分析，保留已分析局面的结果
+     */
+    stopGameAnalysis() {
+        const analysis = this.gameAnalysis;
+        if (!analysis || !analysis.running) return;
+        
+        if (analysis.worker) {
+            analysis.worker.terminate();
+        }
+        this.finishGameAnalysis(analysis.report, '分析已停止');
+    }
+    
+    finishGameAnalysis(report, status = '分析完成') {
+        const analysis = this.gameAnalysis;
+        analysis.running = false;
+        analysis.worker = null;
+        analysis.report = report;
+        this.showAnalysisRunning(false);
+        this.renderGameAnalysis(status);
+        
+        if (report && report.moves.length > 0) {
+            this.addLog({
+                type: 'info',
+                message: `${status}: ${this.formatAnalysisSummary(report.summary)}，耗时 ${report.searchTime}ms`,
+                data: report
+            });
+        }
+        if (status === '分析完成') {
+            this.showModal('对局分析完成，可在日志页查看形势图');
+        }
+    }
+    
+    showAnalysisRunning(running) {
+        const startBtn = document.getElementById('analyze-game-btn');
+        const stopBtn = document.getElementById('stop-analysis-btn');
+        if (startBtn) startBtn.classList.toggle('hidden', running);
+        if (stopBtn) stopBtn.classList.toggle('hidden', !running);
+    }
+    
+    /**
+     * 例如 "黑方 好棋 10 缓着 1 错着 0 败着 0；白方 ..."
+     */
+    formatAnalysisSummary(summary) {
+        return [1, 2].map(player => {
+            const counts = MOVE_QUALITIES.map(({ key, name }) => `${name} ${summary[player][key]}`).join(' ');
+            return `${player === 1 ? '黑方' : '白方'} ${counts}`;
+        }).join('；');
+    }
+    
+    /**
+     * 在日志页显示分析状态、各手的评价和形势图
+     */
+    renderGameAnalysis(status) {
+        const statusLabel = document.getElementById('game-analysis-status');
+        if (statusLabel) statusLabel.textContent = status;
+        
+        const report = this.gameAnalysis && this.gameAnalysis.report;
+        if (!report) return;
+        
+        const summaryLabel = document.getElementById('game-analysis-summary');
+        if (summaryLabel) summaryLabel.textContent = this.formatAnalysisSummary(report.summary);
+        
+        const tbody = document.getElementById('game-analysis-moves');
+        if (tbody) {
+            const qualities = Object.fromEntries(MOVE_QUALITIES.map(quality => [quality.key, quality.name]));
+            tbody.innerHTML = report.moves.map(({ ply, move, bestMove, loss, quality }) => `
+                <tr data-analysis-ply="${ply}" class="cursor-pointer hover:bg-gray-600">
+                    <td class="py-1">${ply}</td>
+                    <td>${move[2] === 1 ? '黑' : '白'} ${GameRecord.toCoordinate(move[0], move[1], this.boardSize)}</td>
+                    <td>${bestMove ? GameRecord.toCoordinate(bestMove[0], bestMove[1], this.boardSize) : '-'}</td>
+                    <td>${loss}</td>
+                    <td style="color: ${ANALYSIS_COLORS[quality]}">${qualities[quality]}</td>
+                </tr>
+            `).join('');
+        }
+        
+        this.renderEvalChart(report);
+    }
+    
+    /**
+     * 形势图：横轴为手数，纵轴为黑方视角的得分，每一手的点按评价着色，点击跳到该局面
+     */
+    renderEvalChart(report) {
+        const container = document.getElementById('eval-chart');
+        if (!container) return;
+        if (typeof echarts === 'undefined') {
+            container.textContent = '图表库未加载，可在下方表格中查看各手评价';
+            return;
+        }
+        
+        if (!this.evalChart) {
+            this.evalChart = echarts.init(container);
+            this.evalChart.on('click', (params) => this.jumpToAnalyzedPosition(params.dataIndex));
+        }
+        
+        const qualities = Object.fromEntries(MOVE_QUALITIES.map(quality => [quality.key, quality.name]));
+        const data = report.evaluations.map((score, ply) => {
+            const move = report.moves[ply - 1];
+            return {
+                value: score,
+                itemStyle: { color: move ? ANALYSIS_COLORS[move.quality] : '#9ca3af' }
+            };
+        });
+        
+        this.evalChart.setOption({
+            grid: { left: 60, right: 20, top: 20, bottom: 40 },
+            tooltip: {
+                trigger: 'item',
+                formatter: ({ dataIndex, value }) => {
+                    const move = report.moves[dataIndex - 1];
+                    if (!move) return `开局前<br>形势（黑方）: ${value}`;
+                    const [row, col, player] = move.move;
+                    return `第 ${dataIndex} 手 ${player === 1 ? '黑' : '白'} ${GameRecord.toCoordinate(row, col, this.boardSize)}` +
+                        ` ${qualities[move.quality]}<br>形势（黑方）: ${value}<br>损失: ${move.loss}`;
+                }
+            },
+            xAxis: {
+                type: 'category',
+                name: '手数',
+                data: report.evaluations.map((_, ply) => ply),
+                axisLabel: { color: '#d1d5db' }
+            },
+            yAxis: {
+                type: 'value',
+                name: '黑方得分',
+                axisLabel: { color: '#d1d5db' },
+                splitLine: { lineStyle: { color: '#4b5563' } }
+            },
+            series: [{
+                type: 'line',
+                data,
+                symbolSize: 8,
+                showAllSymbol: true,
+                lineStyle: { color: '#60a5fa' },
+                areaStyle: { color: 'rgba(96, 165, 250, 0.15)' }
+            }]
+        });
+    }
+    
+    /**
+     * 跳到分析中的局面（前 ply 手之后），并切换到游戏页面
+     */
+    jumpToAnalyzedPosition(ply) {
+        const analysis = this.gameAnalysis;
+        if (!analysis || ply < 0 || ply > analysis.nodes.length) return;
+        
+        const node = ply === 0 ? this.gameTree.root : analysis.nodes[ply - 1];
+        let root = node;
+        while (root.parent) root = root.parent;
+        if (root !== this.gameTree.root) {
+            this.showModal('已开始新的对局，无法跳到分析的局面');
+            return;
+        }
+        
+        this.goToNode(node);
+        this.showPage('game');
+    }
+    
+    showTournamentRunning(running) {
+        const startBtn = document.getElementById('start-tournament-btn');
+        const stopBtn = document.getElementById('stop-tournament-btn');
+        if (startBtn) startBtn.classList.toggle('hidden', running);
+        if (stopBtn) stopBtn.classList.toggle('hidden', !running);
+    }
+    
+    /**
+     * 显示比赛状态、汇总报告和每局结果
+     */
+    renderTournament(report, status) {
+        if (this.tournament && report) {
+            this.tournament.report = report;
+        }
+        
+        const statusLabel = document.getElementById('tournament-status');
+        const reportLabel = document.getElementById('tournament-report');
+        const resultsLabel = document.getElementById('tournament-results');
+        if (statusLabel) statusLabel.textContent = status;
+        if (!report) return;
+        
+        if (reportLabel) reportLabel.textContent = Tournament.formatReport(report);
+        if (resultsLabel) resultsLabel.textContent = report.results.map(Tournament.formatResult).join('\n');
     }
     
     /**
@@ -71,7 +658,17 @@ class GomokuGame {
         this.currentPlayer = 1;
         this.gameOver = false;
         this.winner = null;
-        this.moveHistory = [];
+        this.gameTree = new GameTree();
+        this.hintCount = 0;
+        this.forcedWinSequence = null;
+        this.aiPlan = null;
+        this.scoreOverlay = null;
+        this.hints = null;
+        this.resetDebugSession();
+        this.forbiddenPoints = [];
+        this.opening = null;
+        this.openingMoves = 0;
+        this.aiColor = null;
     }
     
     /**
@@ -132,13 +729,134 @@ class GomokuGame {
             if (target.matches('#ai-search-btn')) {
                 this.aiMove();
             }
+            if (target.matches('#hint-btn')) {
+                this.showHint();
+            }
+            if (target.matches('#analyze-win-btn')) {
+                this.analyzeForcedWin();
+            }
+            if (target.matches('#stop-search-btn')) {
+                this.stopSearch();
+            }
+            if (target.matches('#analyze-game-btn')) {
+                this.startGameAnalysis();
+            }
+            if (target.matches('#stop-analysis-btn')) {
+                this.stopGameAnalysis();
+            }
+            if (target.matches('#heatmap-toggle')) {
+                this.showHeatmap = !this.showHeatmap;
+                this.updateHeatmapToggle();
+                this.render();
+            }
+            if (target.matches('#ai-plan-toggle')) {
+                this.showAIPlan = !this.showAIPlan;
+                this.updateAIPlanToggle();
+                this.render();
+            }
+            
+            // 单步调试
+            if (target.matches('#debug-search-btn')) {
+                this.openDebugger();
+            }
+            if (target.matches('#debug-close-btn')) {
+                this.closeDebugger();
+            }
+            if (target.matches('#debug-step-btn')) {
+                this.debugStep();
+            }
+            if (target.matches('#debug-play-btn')) {
+                this.debugPlay();
+            }
+            if (target.matches('#debug-pause-btn')) {
+                this.debugPause();
+            }
+            if (target.matches('#debug-run-btn')) {
+                this.debugRunToEnd();
+            }
+            
+            if (target.matches('[data-opening-choice]')) {
+                const choice = target.dataset.openingChoice;
+                this.chooseOpeningColor(choice === 'placeTwo' ? choice : Number(choice));
+            }
+            
+            // 比赛相关
+            if (target.matches('#start-tournament-btn')) {
+                this.startTournament();
+            }
+            if (target.matches('#stop-tournament-btn')) {
+                this.stopTournament();
+            }
             
             // 设置相关
             if (target.matches('#reset-settings-btn')) {
                 this.resetSettings();
             }
             
+            // 开局库
+            if (target.matches('#learn-opening-btn')) {
+                this.learnOpeningFromGame();
+            }
+            if (target.matches('#export-book-btn')) {
+                this.exportOpeningBook();
+            }
+            if (target.matches('#import-book-btn')) {
+                const fileInput = document.getElementById('import-book-file');
+                if (fileInput) fileInput.click();
+            }
+            if (target.matches('#reset-book-btn')) {
+                this.resetOpeningBook();
+            }
+            
+            // 复盘
+            if (target.matches('#replay-first-btn')) {
+                this.goToMove(0);
+            }
+            if (target.matches('#replay-prev-btn')) {
+                this.goToMove(this.moveHistory.length - 1);
+            }
+            if (target.matches('#replay-next-btn')) {
+                this.goToMove(this.moveHistory.length + 1);
+            }
+            if (target.matches('#replay-last-btn')) {
+                this.goToMove(this.gameTree.getLine().length);
+            }
+            if (target.matches('#replay-continue-btn')) {
+                this.continueFromHere();
+            }
+            if (target.matches('#promote-variation-btn')) {
+                this.promoteVariation();
+            }
+            const variationItem = target.closest('[data-variation]');
+            if (variationItem) {
+                this.goToNode(this.gameTree.current.children[parseInt(variationItem.dataset.variation, 10)]);
+            }
+            if (target.matches('[data-annotation]')) {
+                this.annotateCurrentMove(target.dataset.annotation);
+            }
+            
+            // 棋谱
+            if (target.matches('#save-record-btn')) {
+                this.exportGameRecord();
+            }
+            if (target.matches('#load-record-btn')) {
+                const fileInput = document.getElementById('record-file');
+                if (fileInput) fileInput.click();
+            }
+            if (target.matches('#load-record-text-btn')) {
+                const textarea = document.getElementById('record-text');
+                if (textarea && textarea.value.trim()) this.importGameRecord(textarea.value);
+            }
+            
             // 日志相关
+            const analysisRow = target.closest('[data-analysis-ply]');
+            if (analysisRow) {
+                this.jumpToAnalyzedPosition(parseInt(analysisRow.dataset.analysisPly, 10));
+            }
+            const treeItem = target.closest('[data-tree-path]');
+            if (treeItem) {
+                this.showSearchTreeNode(treeItem.dataset.treePath);
+            }
             if (target.matches('#clear-logs-btn')) {
                 this.clearLogs();
             }
@@ -147,18 +865,86 @@ class GomokuGame {
             }
         });
         
+        // 悬停在“显示AI计划”开关上时预览AI预期的后续变化
+        const planToggle = document.getElementById('ai-plan-toggle');
+        if (planToggle) {
+            planToggle.addEventListener('mouseenter', () => {
+                this.previewAIPlan = true;
+                this.render();
+            });
+            planToggle.addEventListener('mouseleave', () => {
+                this.previewAIPlan = false;
+                this.render();
+            });
+        }
+        
+        // 导入开局库文件
+        const bookFileInput = document.getElementById('import-book-file');
+        if (bookFileInput) {
+            bookFileInput.addEventListener('change', () => {
+                const file = bookFileInput.files[0];
+                if (file) this.importOpeningBook(file);
+                bookFileInput.value = '';
+            });
+        }
+        
+        // 导入棋谱文件
+        const recordFileInput = document.getElementById('record-file');
+        if (recordFileInput) {
+            recordFileInput.addEventListener('change', () => {
+                const file = recordFileInput.files[0];
+                if (file) {
+                    const reader = new FileReader();
+                    reader.onload = () => this.importGameRecord(reader.result);
+                    reader.readAsText(file);
+                }
+                recordFileInput.value = '';
+            });
+        }
+        
         // 设置页面输入事件
         document.addEventListener('input', (e) => {
-            if (e.target.matches('input[type="number"]')) {
+            if (e.target.matches('input[type="number"], input[type="checkbox"], select')) {
                 this.updateSettingFromInput(e.target);
             }
             
+            // 当前着法的评论
+            if (e.target.matches('#move-comment')) {
+                this.gameTree.current.comment = e.target.value;
+                return;
+            }
+            
+            // 复盘滑块
+            if (e.target.matches('#replay-slider')) {
+                this.goToMove(parseInt(e.target.value, 10));
+                return;
+            }
+            
             // 处理滑块的实时更新
             if (e.target.matches('input[type="range"]')) {
                 this.updateSliderValue(e.target);
             }
         });
         
+        // 游戏页面中用方向键复盘：← → 前后一手，Home / End 到开头和最后
+        document.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, textarea, select')) return;
+            const gamePage = document.getElementById('game-page');
+            if (gamePage && gamePage.classList.contains('hidden')) return;
+            
+            const ply = this.moveHistory.length;
+            const targets = {
+                ArrowLeft: ply - 1,
+                ArrowRight: ply + 1,
+                Home: 0,
+                End: this.gameTree.getLine().length
+            };
+            if (e.key in targets) {
+                e.preventDefault();
+                this.goToMove(targets[e.key]);
+            }
+        });
+        
         // 窗口大小改变
         window.addEventListener('resize', () => {
             this.initCanvas();
@@ -181,40 +967,365 @@ class GomokuGame {
         
         if (row >= 0 && row < this.boardSize && col >= 0 && col < this.boardSize && 
             this.board[row][col] === 0) {
-            this.makeMove(row, col);
+            if (this.opening) {
+                this.handleOpeningClick(row, col);
+            } else if (this.makeMove(row, col)) {
+                this.checkAITurn();
+            }
             this.updateGameStats();
         }
     }
     
     /**
-     * 处理Canvas鼠标移动（悬停效果）
+     * 开始开局协议（设置为 'none' 时直接进入对局）
      */
-    handleCanvasMouseMove(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        const col = Math.round(x / this.cellSize - 1);
-        const row = Math.round(y / this.cellSize - 1);
-        
-        // 检查是否在有效位置
-        const isValid = row >= 0 && row < this.boardSize && 
-                       col >= 0 && col < this.boardSize && 
-                       this.board[row][col] === 0 &&
-                       !this.gameOver && !this.aiThinking;
+    startOpening() {
+        const protocol = OPENING_PROTOCOLS[this.settings.openingRule];
+        if (!protocol) {
+            this.updateOpeningPanel();
+            return;
+        }
         
-        this.canvas.style.cursor = isValid ? 'pointer' : 'default';
-        this.render(isValid ? [row, col] : null);
+        this.opening = {
+            name: protocol.name,
+            steps: protocol.steps.map(step => ({ ...step })),
+            stepIndex: -1,
+            step: null,
+            blackRole: 'first', // 当前执黑的一方
+            placed: 0,          // 当前步骤已放置的棋子数
+            candidates: []      // Soosõrv 第5手候选点 [[row, col], ...]
+        };
+        this.addLog({
+            type: 'info',
+            message: `开局协议 ${protocol.name} 开始`
+        });
+        this.nextOpeningStep();
     }
     
     /**
-     * 落子
+     * 进入开局协议的下一步，轮到AI时由AI完成
      */
-    makeMove(row, col) {
-        if (this.gameOver || this.board[row][col] !== 0) return;
+    nextOpeningStep() {
+        const opening = this.opening;
+        opening.stepIndex++;
+        opening.step = opening.steps[opening.stepIndex] || null;
+        opening.placed = 0;
+        
+        if (!opening.step) {
+            this.finishOpening();
+            return;
+        }
         
-        this.board[row][col] = this.currentPlayer;
-        this.moveHistory.push([row, col, this.currentPlayer]);
+        this.updateOpeningPanel();
+        if (this.getOpeningActor() === this.settings.openingAIRole) {
+            this.runOpeningAI();
+        }
+    }
+    
+    /**
+     * 开局协议结束：确定AI执色，进入正常对局
+     */
+    finishOpening() {
+        const { name, blackRole } = this.opening;
+        this.opening = null;
+        this.openingMoves = this.moveHistory.length;
+        
+        const aiRole = this.settings.openingAIRole;
+        if (aiRole !== 'none') {
+            this.aiColor = aiRole === blackRole ? 1 : 2;
+        }
+        
+        this.addLog({
+            type: 'info',
+            message: `开局协议 ${name} 结束: ${this.getRoleName(blackRole)}执黑，${this.getRoleName(this.getOtherRole(blackRole))}执白`
+        });
+        this.updateOpeningPanel();
+        this.updateGameStats();
+        this.render();
+        this.checkAITurn();
+    }
+    
+    /**
+     * 当前开局步骤由哪一方执行
+     */
+    getOpeningActor() {
+        const { step, blackRole } = this.opening;
+        if (step.role === 'black') return blackRole;
+        if (step.role === 'white') return this.getOtherRole(blackRole);
+        return step.role;
+    }
+    
+    getOtherRole(role) {
+        return role === 'first' ? 'second' : 'first';
+    }
+    
+    getRoleName(role) {
+        const name = role === 'first' ? '开局方' : '选择方';
+        return role === this.settings.openingAIRole ? `${name}(AI)` : name;
+    }
+    
+    /**
+     * 开局阶段玩家点击棋盘
+     */
+    handleOpeningClick(row, col) {
+        if (this.getOpeningActor() === this.settings.openingAIRole) return;
+        
+        switch (this.opening.step.type) {
+            case 'place':
+                this.placeOpeningStone(row, col);
+                break;
+            case 'candidates':
+                this.addFifthCandidate(row, col);
+                break;
+            case 'pick':
+                this.pickFifthCandidate(row, col);
+                break;
+        }
+    }
+    
+    /**
+     * 开局放子，放满本步要求的棋子数后进入下一步
+     */
+    placeOpeningStone(row, col) {
+        if (!this.makeMove(row, col)) return;
+        
+        const opening = this.opening;
+        opening.placed++;
+        if (opening.placed >= opening.step.count) {
+            this.nextOpeningStep();
+        } else {
+            this.updateOpeningPanel();
+        }
+    }
+    
+    /**
+     * 选择执色
+     * @param {Number|String} choice - 1=执黑, 2=执白, 'placeTwo'=再放两子后由对方选色（Swap2）
+     */
+    chooseOpeningColor(choice) {
+        const opening = this.opening;
+        if (!opening || !opening.step || opening.step.type !== 'choose') return;
+        
+        const actor = this.getOpeningActor();
+        const other = this.getOtherRole(actor);
+        
+        if (choice === 'placeTwo') {
+            opening.steps.splice(opening.stepIndex + 1, 0,
+                { type: 'place', role: actor, count: 2 },
+                { type: 'choose', role: other }
+            );
+            this.addLog({ type: 'info', message: `${this.getRoleName(actor)}选择再放两子` });
+        } else {
+            opening.blackRole = choice === 1 ? actor : other;
+            this.addLog({ type: 'info', message: `${this.getRoleName(actor)}选择执${choice === 1 ? '黑' : '白'}` });
+        }
+        this.nextOpeningStep();
+    }
+    
+    /**
+     * Soosõrv：黑方放置第5手候选点
+     */
+    addFifthCandidate(row, col) {
+        const opening = this.opening;
+        if (opening.candidates.some(([r, c]) => r === row && c === col)) return;
+        if (this.ai.isForbiddenMove(this.board, row, col, 1)) {
+            this.showModal('禁手点不能作为候选点');
+            return;
+        }
+        
+        opening.candidates.push([row, col]);
+        this.render();
+        if (opening.candidates.length >= this.settings.fifthCandidates) {
+            this.addLog({
+                type: 'info',
+                message: `第5手候选点: ${opening.candidates.map(([r, c]) => `(${r}, ${c})`).join(' ')}`
+            });
+            this.nextOpeningStep();
+        } else {
+            this.updateOpeningPanel();
+        }
+    }
+    
+    /**
+     * Soosõrv：白方选定第5手，其余候选点撤掉
+     */
+    pickFifthCandidate(row, col) {
+        const opening = this.opening;
+        if (!opening.candidates.some(([r, c]) => r === row && c === col)) return;
+        
+        opening.candidates = [];
+        this.makeMove(row, col);
+        this.nextOpeningStep();
+    }
+    
+    /**
+     * 由AI完成当前的开局步骤
+     */
+    async runOpeningAI() {
+        const opening = this.opening;
+        const step = opening.step;
+        
+        this.aiThinking = true;
+        this.showThinkingAnimation(true);
+        // 稍作停顿，让玩家看清每一步
+        await new Promise(resolve => setTimeout(resolve, 500));
+        this.aiThinking = false;
+        this.showThinkingAnimation(false);
+        
+        // 期间已开始新局
+        if (this.opening !== opening || opening.step !== step) return;
+        
+        try {
+            switch (step.type) {
+                case 'place':
+                    while (this.opening === opening && opening.step === step) {
+                        const move = this.ai.chooseBalancedMove(this.board, this.currentPlayer);
+                        const placed = opening.placed;
+                        if (move) this.placeOpeningStone(move[0], move[1]);
+                        // 没有可下的点或落子被拒绝（例如对局已结束）时停止，否则会一直循环
+                        if (!move || opening.placed === placed) break;
+                    }
+                    break;
+                case 'choose':
+                    this.chooseOpeningColor(this.ai.chooseOpeningColor(this.board, step.allowPlaceTwo));
+                    break;
+                case 'candidates':
+                    for (const [row, col] of this.ai.chooseFifthCandidates(this.board, this.settings.fifthCandidates)) {
+                        this.addFifthCandidate(row, col);
+                    }
+                    break;
+                case 'pick': {
+                    const [row, col] = this.ai.chooseWeakestCandidate(this.board, opening.candidates);
+                    this.pickFifthCandidate(row, col);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('AI开局出错:', error);
+            this.addLog({
+                type: 'error',
+                message: `AI开局出错: ${error.message}`
+            });
+        }
+        this.updateGameStats();
+    }
+    
+    /**
+     * 开局协议为AI分配了执色时，轮到AI就自动落子
+     */
+    checkAITurn() {
+        if (this.aiColor === this.currentPlayer && !this.gameOver && !this.opening) {
+            this.aiMove();
+        }
+    }
+    
+    /**
+     * 更新开局协议面板：当前步骤提示和选色按钮
+     */
+    updateOpeningPanel() {
+        const panel = document.getElementById('opening-panel');
+        if (!panel) return;
+        
+        const opening = this.opening;
+        panel.classList.toggle('hidden', !opening);
+        if (!opening) return;
+        
+        const { step } = opening;
+        const actor = this.getOpeningActor();
+        const actorName = this.getRoleName(actor);
+        let prompt = '';
+        switch (step.type) {
+            case 'place': {
+                const color = this.currentPlayer === 1 ? '黑' : '白';
+                prompt = `${actorName}放置第 ${this.moveHistory.length + 1} 手（${color}），还需 ${step.count - opening.placed} 子`;
+                break;
+            }
+            case 'choose':
+                prompt = `${actorName}选择执黑或执白${step.allowPlaceTwo ? '，或再放两子' : ''}`;
+                break;
+            case 'candidates':
+                prompt = `${actorName}放置第5手候选点（${opening.candidates.length}/${this.settings.fifthCandidates}）`;
+                break;
+            case 'pick':
+                prompt = `${actorName}从候选点中选定第5手`;
+                break;
+        }
+        
+        document.getElementById('opening-title').textContent = `开局协议：${opening.name}`;
+        document.getElementById('opening-prompt').textContent = prompt;
+        
+        // 玩家选色时显示按钮
+        const actions = document.getElementById('opening-actions');
+        actions.innerHTML = '';
+        if (step.type === 'choose' && actor !== this.settings.openingAIRole) {
+            const choices = [[1, '执黑'], [2, '执白']];
+            if (step.allowPlaceTwo) choices.push(['placeTwo', '再放两子']);
+            
+            for (const [choice, label] of choices) {
+                const button = document.createElement('button');
+                button.dataset.openingChoice = choice;
+                button.className = 'flex-1 py-2 px-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold transition-colors';
+                button.textContent = label;
+                actions.appendChild(button);
+            }
+        }
+    }
+    
+    /**
+     * 处理Canvas鼠标移动（悬停效果）
+     */
+    handleCanvasMouseMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        
+        const col = Math.round(x / this.cellSize - 1);
+        const row = Math.round(y / this.cellSize - 1);
+        
+        // 检查是否在有效位置
+        const isValid = row >= 0 && row < this.boardSize && 
+                       col >= 0 && col < this.boardSize && 
+                       this.board[row][col] === 0 &&
+                       !this.forbiddenPoints.some(([r, c]) => r === row && c === col) &&
+                       !this.gameOver && !this.aiThinking;
+        
+        this.canvas.style.cursor = isValid ? 'pointer' : 'default';
+        this.render(isValid ? [row, col] : null);
+    }
+    
+    /**
+     * 落子
+     */
+    makeMove(row, col) {
+        if (this.gameOver || this.board[row][col] !== 0) return false;
+        
+        // 连珠规则：拒绝黑方禁手
+        if (this.ai.isForbiddenMove(this.board, row, col, this.currentPlayer)) {
+            const reason = this.ai.renju.getForbiddenReason(this.board, row, col);
+            this.showModal(`禁手（${this.ai.renju.reasonNames[reason]}），请另选位置`);
+            return false;
+        }
+        
+        // 与已有着法相同时沿原变化前进，否则在对局树中新增一个变化
+        const parent = this.gameTree.current;
+        const siblings = parent.children.length;
+        this.gameTree.play([row, col, this.currentPlayer]);
+        if (siblings > 0 && parent.children.length > siblings) {
+            const ply = this.gameTree.ply;
+            // 在开局协议的落子之前另走时，之后的落子都可以悔棋
+            this.openingMoves = Math.min(this.openingMoves, ply - 1);
+            this.addLog({
+                type: 'info',
+                message: `第 ${ply} 手新增变化 ${String.fromCharCode(64 + parent.children.length)}: ${GameRecord.toCoordinate(row, col, this.boardSize)}`
+            });
+        }
+        
+        this.board[row][col] = this.currentPlayer;
+        this.scoreOverlay = null;
+        this.hints = null;
+        this.resetDebugSession();
+        this.validateForcedWinSequence();
+        this.validateAIPlan();
         
         // 检查胜负
         const winner = this.checkWinner();
@@ -227,7 +1338,18 @@ class GomokuGame {
             this.currentPlayer = 3 - this.currentPlayer;
         }
         
+        this.updateForbiddenPoints();
         this.render();
+        return true;
+    }
+    
+    /**
+     * 重新计算禁手点（仅连珠规则下轮到黑方时标出）
+     */
+    updateForbiddenPoints() {
+        this.forbiddenPoints = this.ai.renju && this.currentPlayer === 1 && !this.gameOver
+            ? this.ai.renju.getForbiddenPoints(this.board)
+            : [];
     }
     
     /**
@@ -254,6 +1376,12 @@ class GomokuGame {
             }
         }
         
+        // 更新当前规则
+        const ruleDisplay = document.getElementById('rule-variant-display');
+        if (ruleDisplay) {
+            ruleDisplay.textContent = `规则：${this.ai.rules.name}`;
+        }
+        
         // 更新统计数字
         const moveCount = document.getElementById('move-count');
         const blackCount = document.getElementById('black-count');
@@ -268,6 +1396,43 @@ class GomokuGame {
             const whiteMoves = this.moveHistory.filter(move => move[2] === 2).length;
             whiteCount.textContent = whiteMoves;
         }
+        const hintCount = document.getElementById('hint-count');
+        if (hintCount) hintCount.textContent = this.hintCount;
+        
+        this.updateAIPlanToggle();
+        this.updateReplayPanel();
+    }
+    
+    /**
+     * 更新“评分热力图”开关的状态和图例
+     */
+    updateHeatmapToggle() {
+        const toggle = document.getElementById('heatmap-toggle');
+        const legend = document.getElementById('heatmap-legend');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(this.showHeatmap));
+            toggle.classList.toggle('bg-blue-600', this.showHeatmap);
+            toggle.classList.toggle('bg-gray-600', !this.showHeatmap);
+        }
+        if (legend) {
+            legend.classList.toggle('hidden', !this.showHeatmap);
+        }
+    }
+    
+    /**
+     * 更新“显示AI计划”开关的状态：没有可显示的计划时变暗
+     */
+    updateAIPlanToggle() {
+        const toggle = document.getElementById('ai-plan-toggle');
+        if (!toggle) return;
+        
+        toggle.setAttribute('aria-pressed', String(this.showAIPlan));
+        toggle.classList.toggle('bg-blue-600', this.showAIPlan);
+        toggle.classList.toggle('bg-gray-600', !this.showAIPlan);
+        toggle.classList.toggle('opacity-50', !this.aiPlan);
+        toggle.title = this.aiPlan
+            ? `AI预期的后续变化：${this.ai.formatPV(this.aiPlan)}`
+            : 'AI落子后可查看它预期的后续变化';
     }
     
     /**
@@ -275,16 +1440,28 @@ class GomokuGame {
      */
     async aiMove() {
         if (this.gameOver || this.aiThinking) return;
+        if (this.opening) {
+            this.showModal('开局协议进行中，请先完成开局');
+            return;
+        }
         
         this.aiThinking = true;
         this.showThinkingAnimation(true);
         
+        const tree = this.gameTree;
         try {
-            // 使用setTimeout让UI更新
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
             // 调用AI搜索
-            const result = this.ai.findBestMove(this.board, this.currentPlayer);
+            const result = await this.runSearch(this.board, this.currentPlayer);
+            
+            // 期间已开始新局（或换了棋盘大小），结果作废
+            if (this.gameTree !== tree) return;
+            
+            if (result && !result.move && result.stopped) {
+                this.addLog({
+                    type: 'info',
+                    message: '搜索已中止，尚未找到可用着法'
+                });
+            }
             
             if (result && result.move) {
                 
@@ -299,14 +1476,40 @@ class GomokuGame {
                     });
                 }
 
+                // 找到强制取胜序列时在棋盘上标出
+                if (result.vcf || result.vct) {
+                    this.forcedWinSequence = result.vcf || result.vct;
+                }
+                this.aiPlan = result.pv && result.pv.length > 0 ? result.pv : null;
+
                 const [row, col] = result.move;
                 this.makeMove(row, col);
                 
+                // 根节点评分保留到下一手落子
+                if (result.rootScores && result.rootScores.length > 0) {
+                    this.scoreOverlay = {
+                        scores: result.rootScores,
+                        cutMoves: result.cutMoves || [],
+                        outOfRangeMoves: result.outOfRangeMoves || []
+                    };
+                    this.render();
+                }
+                
+                // 搜索树只在页面中展示，不随日志存入 localStorage
+                const { searchTree, ...data } = result;
+                if (searchTree) {
+                    this.searchTree = searchTree;
+                    this.renderSearchTree();
+                }
+                
                 // 更新落子日志
                 this.addLog({
                     type: 'ai-move',
-                    message: `AI落子: (${row}, ${col}), 得分: ${result.score}`,
-                    data: result
+                    message: result.book
+                        ? `AI落子: (${row}, ${col}), 来自开局库 (权重 ${result.book.weight}/${result.book.total})`
+                        : `AI落子: (${row}, ${col}), 得分: ${result.score}, 完成深度: ${result.reachedDepth}` +
+                          (this.aiPlan ? `, 主变化: ${this.ai.formatPV(this.aiPlan)}` : ''),
+                    data
                 });
                 
                 this.updateGameStats();
@@ -325,66 +1528,637 @@ class GomokuGame {
     }
     
     /**
-     * 撤销上一步
+     * 必胜分析：为当前行棋方寻找VCF/VCT强制取胜序列，只标出不落子
      */
-    undoMove() {
-        if (this.moveHistory.length === 0) return;
+    async analyzeForcedWin() {
+        if (this.gameOver || this.aiThinking) return;
         
-        const lastMove = this.moveHistory.pop();
-        const [row, col] = lastMove;
+        this.aiThinking = true;
+        this.showThinkingAnimation(true);
         
-        this.board[row][col] = 0;
-        this.currentPlayer = 3 - this.currentPlayer;
-        this.gameOver = false;
-        this.winner = null;
+        const tree = this.gameTree;
+        try {
+            const result = await this.runSearch(this.board, this.currentPlayer, 'analyze');
+            
+            // 期间已开始新局，结果作废
+            if (this.gameTree !== tree) return;
+            
+            result.logs.forEach(innerLog => {
+                this.addLog({
+                    type: innerLog.type || 'info',
+                    message: innerLog.message
+                });
+            });
+            
+            const side = this.currentPlayer === 1 ? '黑方' : '白方';
+            if (result.sequence) {
+                this.forcedWinSequence = result.sequence;
+                this.addLog({
+                    type: 'analysis',
+                    message: `必胜分析: ${side}存在${result.type}必胜，共 ${result.sequence.length} 手，耗时 ${result.searchTime}ms`
+                });
+                this.render();
+            } else if (!result.stopped) {
+                this.showModal(`${side}暂未找到必胜序列`);
+            }
+        } catch (error) {
+            console.error('必胜分析出错:', error);
+            this.addLog({
+                type: 'error',
+                message: `必胜分析出错: ${error.message}`
+            });
+        } finally {
+            this.aiThinking = false;
+            this.showThinkingAnimation(false);
+        }
+    }
+    
+    /**
+     * 提示：为当前行棋方搜索，在棋盘上标出得分最高的几个着法，不落子
+     */
+    async showHint() {
+        if (this.gameOver || this.aiThinking) return;
+        if (this.opening) {
+            this.showModal('开局协议进行中，请先完成开局');
+            return;
+        }
         
-        this.updateGameStats();
-        this.render();
+        this.aiThinking = true;
+        this.showThinkingAnimation(true);
+        
+        const tree = this.gameTree;
+        try {
+            // 开局库着法没有得分，提示总是搜索；前几个着法的得分都要准确
+            const result = await this.runSearch(this.board, this.currentPlayer, 'search', {
+                multiPV: HINT_COUNT,
+                useOpeningBook: false
+            });
+            
+            // 期间已开始新局，结果作废
+            if (this.gameTree !== tree) return;
+            
+            if (!result || !result.move) {
+                this.showModal('暂时没有可以提示的着法');
+                return;
+            }
+            
+            // 找到必胜序列或中止搜索时没有各候选点的得分，只提示最佳着法
+            const scores = result.rootScores && result.rootScores.length > 0
+                ? result.rootScores
+                : [{ move: result.move, score: result.score }];
+            this.hints = scores.slice(0, HINT_COUNT).map(({ move: [row, col], score }) => ({ move: [row, col], score }));
+            this.hintCount++;
+            
+            const side = this.currentPlayer === 1 ? '黑方' : '白方';
+            const hintText = this.hints.map(({ move: [row, col], score }, index) =>
+                `${index + 1}. ${GameRecord.toCoordinate(row, col, this.boardSize)} (${this.formatOverlayScore(score)})`
+            ).join(', ');
+            const sequence = result.vcf || result.vct;
+            if (sequence) {
+                // 必胜时其余着法不必比较，改为标出整条取胜序列
+                this.forcedWinSequence = sequence;
+                const type = result.vcf ? 'VCF' : 'VCT';
+                this.addLog({
+                    type: 'info',
+                    message: `提示 (${side}): 找到${type}必胜，共 ${sequence.length} 手，第一手 ${GameRecord.toCoordinate(result.move[0], result.move[1], this.boardSize)}`
+                });
+                this.showModal(`${side}有${type}必胜：按棋盘上标出的顺序走即可取胜，不再列出其他候选着法`);
+            } else {
+                this.addLog({
+                    type: 'info',
+                    message: `提示 (${side}): ${hintText}` + (result.stopped ? '（搜索已中止，只提示目前最佳着法）' : '')
+                });
+            }
+            this.updateGameStats();
+            this.render();
+        } catch (error) {
+            console.error('提示出错:', error);
+            this.addLog({
+                type: 'error',
+                message: `提示出错: ${error.message}`
+            });
+        } finally {
+            this.aiThinking = false;
+            this.showThinkingAnimation(false);
+        }
     }
     
     /**
-     * 新游戏
+     * 打开单步调试面板，第一次单步或播放时从当前局面开始搜索
      */
-    newGame() {
-        this.initBoard();
-        this.updateGameStats();
+    openDebugger() {
+        const panel = document.getElementById('debugger-panel');
+        if (panel) panel.classList.remove('hidden');
+        this.resetDebugSession();
+    }
+    
+    closeDebugger() {
+        this.resetDebugSession();
+        const panel = document.getElementById('debugger-panel');
+        if (panel) panel.classList.add('hidden');
         this.render();
     }
     
     /**
-     * 检查胜负
+     * 结束当前调试（局面变化后调试路径不再有意义）
      */
-    checkWinner() {
-        return this.ai.checkWinner(this.board);
+    resetDebugSession() {
+        if (this.debugSession && this.debugSession.timer) {
+            clearInterval(this.debugSession.timer);
+        }
+        this.debugSession = null;
+        this.updateDebuggerPanel();
     }
     
     /**
-     * 显示游戏结束消息
+     * 按面板上的深度和候选点数，从当前局面为当前行棋方开始一次调试搜索
      */
-    showGameOverMessage(winner) {
-        let message = '';
-        if (winner === 0) {
-            message = '游戏平局！';
-        } else if (winner === 1) {
-            message = '黑子胜利！';
-        } else if (winner === 2) {
-            message = '白子胜利！';
+    startDebugSession() {
+        if (this.gameOver) {
+            this.showModal('对局已结束，请开始新局或后退后再调试');
+            return false;
+        }
+        if (this.moveHistory.length === 0) {
+            this.showModal('棋盘上还没有棋子，请先落子再调试');
+            return false;
         }
         
-        // 使用自定义弹窗代替alert
-        this.showModal(message);
-        
-        // 记录日志
-        this.addLog({
-            type: 'game-over',
-            message: `游戏结束: ${message}`
-        });
+        const readInput = (id, min, max, fallback) => {
+            const input = document.getElementById(id);
+            const value = input ? parseInt(input.value, 10) : NaN;
+            return isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+        };
+        const depth = readInput('debug-depth', 1, 4, 2);
+        const candidates = readInput('debug-candidates', 2, 10, 4);
+        
+        this.debugSession = {
+            steps: this.ai.debugSearch(this.board, this.currentPlayer, depth, candidates),
+            event: null,     // 最近一个搜索事件
+            count: 0,
+            history: [],     // 最近的事件文本，显示在面板中
+            timer: null,     // 播放时的定时器
+            result: null     // 搜索结束后的 { move, score }
+        };
+        return true;
     }
     
     /**
-     * 显示自定义弹窗
+     * 前进一个搜索事件；搜索结束后再次单步会重新开始
+     * @param {Boolean} refresh - 是否立即刷新面板和棋盘（运行到底时只在最后刷新）
      */
-    showModal(message) {
+    debugStep(refresh = true) {
+        if ((!this.debugSession || this.debugSession.result) && !this.startDebugSession()) {
+            return false;
+        }
+        
+        const session = this.debugSession;
+        const { value, done } = session.steps.next();
+        if (done) {
+            session.result = value;
+            session.event = null;
+            this.debugPause();
+            session.history.push(value.move
+                ? `搜索结束：最佳着法 (${value.move[0]}, ${value.move[1]})，得分 ${this.formatBound(value.score)}`
+                : '搜索结束：没有可走的着法');
+        } else {
+            session.event = value;
+            session.count++;
+            session.history.push(`${'  '.repeat(value.path.length)}${this.formatDebugEvent(value)}`);
+        }
+        if (session.history.length > 200) {
+            session.history.shift();
+        }
+        
+        if (refresh) {
+            this.updateDebuggerPanel();
+            this.render();
+        }
+        return !done;
+    }
+    
+    /**
+     * 自动播放，每 500ms 前进一步
+     */
+    debugPlay() {
+        if (this.debugSession && this.debugSession.timer) return;
+        if (!this.debugStep()) return;
+        
+        this.debugSession.timer = setInterval(() => this.debugStep(), 500);
+    }
+    
+    debugPause() {
+        if (this.debugSession && this.debugSession.timer) {
+            clearInterval(this.debugSession.timer);
+            this.debugSession.timer = null;
+        }
+    }
+    
+    /**
+     * 一直运行到搜索结束，只显示最终结果
+     */
+    debugRunToEnd() {
+        this.debugPause();
+        if (!this.debugStep(false)) {
+            this.updateDebuggerPanel();
+            this.render();
+            return;
+        }
+        while (this.debugStep(false));
+        this.updateDebuggerPanel();
+        this.render();
+    }
+    
+    /**
+     * 搜索事件的说明文字，alpha/beta 都是当前节点行棋方视角
+     */
+    formatDebugEvent(event) {
+        const point = move => `(${move[0]}, ${move[1]})`;
+        const side = event.player === 1 ? '黑' : '白';
+        
+        switch (event.type) {
+            case 'enter':
+                return event.path.length === 0
+                    ? `开始搜索，${side}走，深度 ${event.depth}`
+                    : `进入 ${point(event.path[event.path.length - 1])}，轮到${side}走，窗口 [${this.formatBound(event.alpha)}, ${this.formatBound(event.beta)}]`;
+            case 'leaf':
+                return `叶子节点，静态评估 ${this.formatBound(event.score)}（${side}方视角）`;
+            case 'win':
+                return `${side} ${point(event.move)} 成五，得分 ${this.formatBound(event.score)}`;
+            case 'update':
+                return `${point(event.move)} 得分 ${this.formatBound(event.score)}` +
+                    (event.best === event.move ? '，成为当前最佳' : '') +
+                    `，α = ${this.formatBound(event.alpha)}`;
+            case 'cutoff':
+                return `✂ ${this.formatBound(event.score)} ≥ β = ${this.formatBound(event.beta)}，剪掉其余 ${event.pruned.length} 个着法`;
+            case 'exit':
+                return `返回 ${this.formatBound(event.score)}` + (event.move ? `，最佳 ${point(event.move)}` : '');
+            default:
+                return event.type;
+        }
+    }
+    
+    /**
+     * 刷新单步调试面板：步数、当前节点的剩余深度、alpha/beta、当前最佳着法和事件记录
+     */
+    updateDebuggerPanel() {
+        const session = this.debugSession;
+        const event = session && session.event;
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        setText('debug-step-count', session ? String(session.count) : '0');
+        setText('debug-depth-value', event ? `${event.depth}（${event.player === 1 ? '黑' : '白'}走）` : '-');
+        setText('debug-alpha', event ? this.formatBound(event.alpha) : '-');
+        setText('debug-beta', event ? this.formatBound(event.beta) : '-');
+        
+        let best = '-';
+        if (session && session.result && session.result.move) {
+            best = `(${session.result.move[0]}, ${session.result.move[1]})`;
+        } else if (event && event.best) {
+            best = `(${event.best[0]}, ${event.best[1]})`;
+        }
+        setText('debug-best', best);
+        
+        let eventText = '点击"单步进入"开始';
+        if (session && session.history.length > 0) {
+            eventText = session.history[session.history.length - 1].trim();
+        }
+        setText('debug-event', eventText);
+        
+        const history = document.getElementById('debug-history');
+        if (history) {
+            history.innerHTML = session
+                ? session.history.map(line => `<div class="whitespace-pre">${line}</div>`).join('')
+                : '';
+            history.scrollTop = history.scrollHeight;
+        }
+    }
+    
+    /**
+     * 绘制单步调试的当前路径：路径上的着法画成带序号的半透明棋子，
+     * 刚返回得分的着法用黄圈标出，被剪掉的着法画红叉
+     */
+    /**
+     * 在下一手各个变化的位置标出字母（A 为主线），与复盘面板中的变化列表对应
+     */
+    drawVariationMarks(ctx, cellSize) {
+        const node = this.gameTree.current;
+        
+        ctx.font = `bold ${Math.round(cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        node.children.forEach((child, index) => {
+            const [row, col] = child.move;
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            
+            ctx.beginPath();
+            ctx.arc(x, y, cellSize * 0.3, 0, Math.PI * 2);
+            ctx.fillStyle = index === node.activeChild ? 'rgba(37, 99, 235, 0.85)' : 'rgba(75, 85, 99, 0.75)';
+            ctx.fill();
+            
+            ctx.fillStyle = '#fff';
+            ctx.fillText(String.fromCharCode(65 + index), x, y);
+        });
+    }
+    
+    drawDebugPath(ctx, cellSize) {
+        const event = this.debugSession.event;
+        
+        ctx.font = `bold ${Math.round(cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        event.path.forEach(([row, col, player], index) => {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            
+            ctx.beginPath();
+            ctx.arc(x, y, cellSize * 0.4, 0, Math.PI * 2);
+            ctx.fillStyle = player === 1 ? 'rgba(0, 0, 0, 0.55)' : 'rgba(255, 255, 255, 0.65)';
+            ctx.fill();
+            ctx.strokeStyle = '#eab308';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.fillStyle = player === 1 ? '#fff' : '#000';
+            ctx.fillText(String(index + 1), x, y);
+        });
+        
+        if (event.move && event.type !== 'exit') {
+            const [row, col] = event.move;
+            ctx.beginPath();
+            ctx.arc((col + 1) * cellSize, (row + 1) * cellSize, cellSize * 0.45, 0, Math.PI * 2);
+            ctx.strokeStyle = event.type === 'cutoff' ? '#ef4444' : '#facc15';
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        }
+        
+        if (event.type === 'cutoff') {
+            const arm = cellSize * 0.25;
+            ctx.strokeStyle = '#ef4444';
+            ctx.lineWidth = 3;
+            event.pruned.forEach(([row, col]) => {
+                const x = (col + 1) * cellSize;
+                const y = (row + 1) * cellSize;
+                ctx.beginPath();
+                ctx.moveTo(x - arm, y - arm);
+                ctx.lineTo(x + arm, y + arm);
+                ctx.moveTo(x + arm, y - arm);
+                ctx.lineTo(x - arm, y + arm);
+                ctx.stroke();
+            });
+        }
+    }
+    
+    /**
+     * 撤销上一步
+     */
+    undoMove() {
+        if (this.opening || this.aiThinking) return;
+        
+        // AI执子时连同AI的上一手一起撤销，轮回到玩家；开局协议中的落子不能撤销
+        const lastMove = this.moveHistory[this.moveHistory.length - 1];
+        const count = lastMove && lastMove[2] === this.aiColor ? 2 : 1;
+        if (this.moveHistory.length - count < this.openingMoves) return;
+        
+        for (let i = 0; i < count; i++) {
+            this.undoLastMove();
+        }
+        
+        this.updateGameStats();
+        this.render();
+    }
+    
+    /**
+     * 撤销最后一手
+     */
+    undoLastMove() {
+        const [row, col, player] = this.gameTree.back().move;
+        
+        this.board[row][col] = 0;
+        this.currentPlayer = player;
+        this.gameOver = false;
+        this.winner = null;
+        this.forcedWinSequence = null;
+        this.aiPlan = null;
+        this.scoreOverlay = null;
+        this.hints = null;
+        this.resetDebugSession();
+        this.updateForbiddenPoints();
+    }
+    
+    /**
+     * 跳到对局树中的任意节点，按该节点的着法重建棋盘（不触发AI、不弹出胜负消息）
+     */
+    goToNode(node) {
+        if (this.opening || this.aiThinking) return;
+        
+        this.gameTree.goTo(node);
+        this.board = Array(this.boardSize).fill().map(() => Array(this.boardSize).fill(0));
+        for (const [row, col, player] of this.moveHistory) {
+            this.board[row][col] = player;
+        }
+        
+        const winner = node.move ? this.checkWinner() : -1;
+        this.gameOver = winner !== -1;
+        this.winner = this.gameOver ? winner : null;
+        this.currentPlayer = !node.move ? 1 : this.gameOver ? node.move[2] : 3 - node.move[2];
+        this.forcedWinSequence = null;
+        this.aiPlan = null;
+        this.scoreOverlay = null;
+        this.hints = null;
+        this.resetDebugSession();
+        
+        this.updateForbiddenPoints();
+        this.updateGameStats();
+        this.render();
+    }
+    
+    /**
+     * 复盘：显示当前变化中第 ply 手之后的局面，后续着法保留在对局树中
+     */
+    goToMove(ply) {
+        const line = this.gameTree.getLine();
+        const target = Math.max(0, Math.min(line.length, ply));
+        this.goToNode(target === 0 ? this.gameTree.root : line[target - 1]);
+    }
+    
+    /**
+     * 复盘中点击“从这里继续”：不再沿原来的后续着法前进，之后的落子成为新的变化；轮到AI时让AI落子
+     */
+    continueFromHere() {
+        if (this.opening || this.aiThinking || this.gameTree.getContinuation().length === 0) return;
+        
+        this.gameTree.cutContinuation();
+        this.updateGameStats();
+        this.render();
+        this.checkAITurn();
+    }
+    
+    /**
+     * 把当前着法所在的变化提升为主线
+     */
+    promoteVariation() {
+        const node = this.gameTree.current;
+        if (this.gameTree.isMainLine(node)) return;
+        
+        this.gameTree.promote(node);
+        this.addLog({
+            type: 'info',
+            message: `第 ${this.gameTree.ply} 手所在的变化已提升为主线`
+        });
+        this.updateReplayPanel();
+        this.render();
+    }
+    
+    /**
+     * 给当前着法加上符号（再次点击同一个符号时清除）
+     */
+    annotateCurrentMove(annotation) {
+        const node = this.gameTree.current;
+        if (!node.move) return;
+        
+        this.gameTree.annotate(node, node.annotation === annotation ? '' : annotation);
+        this.updateReplayPanel();
+    }
+    
+    /**
+     * 当前着法的写法，例如 "h8!"
+     */
+    formatVariationMove(node) {
+        const [row, col] = node.move;
+        return GameRecord.toCoordinate(row, col, this.boardSize) + node.annotation;
+    }
+    
+    /**
+     * 更新复盘面板：手数、滑块范围、当前着法的符号和评论、下一手的变化列表
+     */
+    updateReplayPanel() {
+        const tree = this.gameTree;
+        const node = tree.current;
+        const ply = this.moveHistory.length;
+        const rest = tree.getContinuation().length;
+        const total = ply + rest;
+        
+        const slider = document.getElementById('replay-slider');
+        if (slider) {
+            slider.max = total;
+            slider.value = ply;
+        }
+        const label = document.getElementById('replay-position');
+        if (label) {
+            label.textContent = rest > 0 ? `第 ${ply} / ${total} 手（复盘中）` : `第 ${ply} / ${total} 手`;
+        }
+        const continueBtn = document.getElementById('replay-continue-btn');
+        if (continueBtn) {
+            continueBtn.disabled = rest === 0;
+            continueBtn.classList.toggle('opacity-50', rest === 0);
+        }
+        
+        const moveInfo = document.getElementById('current-move-info');
+        if (moveInfo) {
+            moveInfo.textContent = node.move
+                ? `第 ${ply} 手 ${this.formatVariationMove(node)}${tree.isMainLine(node) ? '' : '（变化）'}`
+                : '开局前';
+        }
+        document.querySelectorAll('[data-annotation]').forEach(button => {
+            const active = node.move && node.annotation === button.dataset.annotation;
+            button.disabled = !node.move;
+            button.classList.toggle('bg-blue-600', Boolean(active));
+            button.classList.toggle('bg-gray-600', !active);
+        });
+        const comment = document.getElementById('move-comment');
+        if (comment && comment.value !== node.comment) {
+            comment.value = node.comment;
+        }
+        const promoteBtn = document.getElementById('promote-variation-btn');
+        if (promoteBtn) {
+            const mainLine = tree.isMainLine(node);
+            promoteBtn.disabled = mainLine;
+            promoteBtn.classList.toggle('opacity-50', mainLine);
+        }
+        
+        const variationList = document.getElementById('variation-list');
+        if (variationList) {
+            variationList.innerHTML = node.children.length > 1 ? node.children.map((child, index) => `
+                <button data-variation="${index}" class="w-full text-left px-2 py-1 rounded ${index === node.activeChild ? 'bg-gray-600' : 'bg-gray-800'} hover:bg-gray-600 text-xs text-gray-300">
+                    ${String.fromCharCode(65 + index)}. ${this.formatVariationMove(child)}${index === 0 ? '（主线）' : ''}${child.comment ? ' 💬' : ''}
+                </button>
+            `).join('') : '';
+        }
+    }
+    
+    /**
+     * 新游戏
+     */
+    newGame() {
+        // 上一局还在进行的搜索立即停止，搜索结果在 aiMove 等处作废
+        this.stopSearch();
+        this.initBoard();
+        this.startOpening();
+        this.updateGameStats();
+        this.render();
+    }
+    
+    /**
+     * 按 settings.boardSize 重建棋盘和Canvas尺寸，并开始新局
+     */
+    applyBoardSize() {
+        this.boardSize = this.settings.boardSize;
+        this.initCanvas();
+        this.newGame();
+    }
+    
+    /**
+     * 当前对局记录
+     */
+    getGameRecord() {
+        return {
+            boardSize: this.boardSize,
+            ruleSet: this.settings.ruleSet,
+            moves: this.moveHistory.map(move => [...move])
+        };
+    }
+    
+    /**
+     * 检查胜负
+     */
+    checkWinner() {
+        return this.ai.checkWinner(this.board);
+    }
+    
+    /**
+     * 显示游戏结束消息
+     */
+    showGameOverMessage(winner) {
+        let message = '';
+        if (winner === 0) {
+            message = '游戏平局！';
+        } else if (winner === 1) {
+            message = '黑子胜利！';
+        } else if (winner === 2) {
+            message = '白子胜利！';
+        }
+        
+        // 使用自定义弹窗代替alert
+        this.showModal(message);
+        
+        // 记录日志
+        this.addLog({
+            type: 'game-over',
+            message: `游戏结束: ${message}`,
+            data: this.getGameRecord()
+        });
+    }
+    
+    /**
+     * 显示自定义弹窗
+     */
+    showModal(message) {
         const modal = document.createElement('div');
         modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
         modal.innerHTML = `
@@ -406,6 +2180,17 @@ class GomokuGame {
     const statusLabel = document.getElementById('game-status');
         if (!statusLabel) return;
 
+        const progressLabel = document.getElementById('search-progress');
+        const stopBtn = document.getElementById('stop-search-btn');
+        if (progressLabel) {
+            progressLabel.textContent = '';
+            progressLabel.classList.toggle('hidden', !show);
+        }
+        // 只有Worker中的搜索可以中途停止
+        if (stopBtn) {
+            stopBtn.classList.toggle('hidden', !(show && this.worker));
+        }
+
         if (show) {
             // 1. AI 开始计算，修改文字并增加视觉效果
             statusLabel.innerText = "AI 思考中...";
@@ -421,6 +2206,20 @@ class GomokuGame {
         }
     }
 
+    /**
+     * 在状态面板中显示实时搜索进度
+     */
+    updateSearchProgress(progress) {
+        const progressLabel = document.getElementById('search-progress');
+        if (!progressLabel) return;
+        
+        let text = `已搜索 ${progress.searchNodes.toLocaleString()} 节点 · 深度 ${progress.depth}`;
+        if (progress.move) {
+            text += ` · 当前最佳 (${progress.move[0]}, ${progress.move[1]})`;
+        }
+        progressLabel.textContent = text;
+    }
+
     renderGameStatus() {
         const statusLabel = document.getElementById('game-status');
         if (!statusLabel) return;
@@ -430,61 +2229,321 @@ class GomokuGame {
     }
     
     /**
-     * 渲染棋盘
+     * 渲染棋盘
+     */
+    render(hoverPosition = null) {
+        if (!this.ctx) return;
+        
+        const ctx = this.ctx;
+        const size = this.canvas.width / (window.devicePixelRatio || 1);
+        const cellSize = this.cellSize;
+        
+        // 清空画布
+        ctx.clearRect(0, 0, size, size);
+        
+        // 绘制棋盘背景
+        this.drawBoardBackground(ctx, size);
+        
+        // 绘制网格
+        this.drawGrid(ctx, size, cellSize);
+        
+        // 绘制根节点评分热力图（画在棋子下面，AI落子处的色块从棋子周围露出）
+        if (this.showHeatmap && this.scoreOverlay) {
+            this.drawScoreOverlay(ctx, cellSize);
+        }
+        
+        // 绘制棋子
+        this.drawPieces(ctx, cellSize);
+
+        this.drawLastMoveMarker(ctx, cellSize);
+        
+        // 绘制对局树中下一手的各个变化
+        if (this.gameTree.current.children.length > 1) {
+            this.drawVariationMarks(ctx, cellSize);
+        }
+        
+        // 绘制禁手点
+        if (this.forbiddenPoints.length > 0) {
+            this.drawForbiddenPoints(ctx, cellSize);
+        }
+        
+        // 绘制Soosõrv第5手候选点
+        if (this.opening && this.opening.candidates.length > 0) {
+            this.drawFifthCandidates(ctx, cellSize);
+        }
+        
+        // 绘制强制取胜序列
+        if (this.forcedWinSequence) {
+            this.drawForcedWinSequence(ctx, cellSize);
+        }
+        
+        // 绘制提示的候选着法
+        if (this.hints) {
+            this.drawHints(ctx, cellSize);
+        }
+        
+        // 绘制AI计划（开关打开或鼠标悬停在开关上时）
+        if (this.aiPlan && (this.showAIPlan || this.previewAIPlan)) {
+            this.drawAIPlan(ctx, cellSize);
+        }
+        
+        // 绘制单步调试中的当前搜索路径
+        if (this.debugSession && this.debugSession.event) {
+            this.drawDebugPath(ctx, cellSize);
+        }
+        
+        // 绘制悬停效果
+        if (hoverPosition) {
+            this.drawHoverEffect(ctx, hoverPosition, cellSize);
+        }
+        
+        // 绘制胜利连线
+        if (this.gameOver && this.winner > 0) {
+            this.drawWinningLine(ctx, cellSize);
+        }
+    }
+
+    drawLastMoveMarker(ctx, cellSize) {
+        if (this.moveHistory.length === 0) return;
+
+        // 获取最后一步棋
+        const lastMove = this.moveHistory[this.moveHistory.length - 1];
+        const [row, col, player] = lastMove;
+
+        const x = (col + 1) * cellSize;
+        const y = (row + 1) * cellSize;
+
+        // 绘制红点
+        ctx.beginPath();
+        ctx.arc(x, y, cellSize * 0.15, 0, Math.PI * 2); // 半径为格子大小的10%
+        ctx.fillStyle = '#ff4d4f'; // 漂亮的亮红色
+        ctx.fill();
+
+        // 给红点加一个微小的描边，防止在黑子上看不清（可选）
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+    
+    /**
+     * 棋局偏离强制取胜序列（某个点被另一方占据）时清除标记
+     */
+    validateForcedWinSequence() {
+        if (!this.forcedWinSequence) return;
+        
+        const deviated = this.forcedWinSequence.some(([row, col, player]) =>
+            this.board[row][col] !== 0 && this.board[row][col] !== player
+        );
+        if (deviated) {
+            this.forcedWinSequence = null;
+        }
+    }
+    
+    /**
+     * 最后一手不是按AI预期的主变化走的（或之前的着法没有走到）时清除AI计划
+     */
+    validateAIPlan() {
+        if (!this.aiPlan) return;
+        
+        const [row, col, player] = this.moveHistory[this.moveHistory.length - 1];
+        const index = this.aiPlan.findIndex(([r, c, p]) => r === row && c === col && p === player);
+        const followed = index >= 0 &&
+            this.aiPlan.slice(0, index).every(([r, c, p]) => this.board[r][c] === p);
+        if (!followed) {
+            this.aiPlan = null;
+        }
+    }
+    
+    /**
+     * 绘制强制取胜序列：已落下的棋子标上序号，未落下的画成半透明棋子
+     */
+    drawForcedWinSequence(ctx, cellSize) {
+        ctx.font = `bold ${Math.round(cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        this.forcedWinSequence.forEach(([row, col, player], index) => {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            
+            if (this.board[row][col] === 0) {
+                ctx.beginPath();
+                ctx.arc(x, y, cellSize * 0.4, 0, Math.PI * 2);
+                ctx.fillStyle = player === 1 ? 'rgba(0, 0, 0, 0.45)' : 'rgba(255, 255, 255, 0.55)';
+                ctx.fill();
+            }
+            
+            // 进攻方的着法用强调色描边
+            ctx.beginPath();
+            ctx.arc(x, y, cellSize * 0.4, 0, Math.PI * 2);
+            ctx.strokeStyle = player === this.forcedWinSequence[0][2] ? '#ff6b35' : 'rgba(0, 0, 0, 0.3)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.fillStyle = player === 1 ? '#fff' : '#000';
+            ctx.fillText(String(index + 1), x, y);
+        });
+    }
+    
+    /**
+     * 绘制AI计划：主变化中尚未落下的着法画成半透明棋子，按预期顺序编号
+     */
+    drawAIPlan(ctx, cellSize) {
+        ctx.font = `bold ${Math.round(cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        const remaining = this.aiPlan.filter(([row, col]) => this.board[row][col] === 0);
+        remaining.forEach(([row, col, player], index) => {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            
+            ctx.beginPath();
+            ctx.arc(x, y, cellSize * 0.4, 0, Math.PI * 2);
+            ctx.fillStyle = player === 1 ? 'rgba(0, 0, 0, 0.4)' : 'rgba(255, 255, 255, 0.5)';
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(59, 130, 246, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.fillStyle = player === 1 ? '#fff' : '#000';
+            ctx.fillText(String(index + 1), x, y);
+        });
+    }
+    
+    /**
+     * 绘制提示：候选着法画成带名次的绿色圆圈，下方标出得分
+     */
+    drawHints(ctx, cellSize) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        this.hints.forEach(({ move: [row, col], score }, index) => {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            
+            ctx.beginPath();
+            ctx.arc(x, y, cellSize * 0.4, 0, Math.PI * 2);
+            ctx.fillStyle = index === 0 ? 'rgba(16, 185, 129, 0.75)' : 'rgba(16, 185, 129, 0.45)';
+            ctx.fill();
+            ctx.strokeStyle = '#047857';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.fillStyle = '#fff';
+            ctx.font = `bold ${Math.round(cellSize * 0.35)}px sans-serif`;
+            ctx.fillText(String(index + 1), x, y - cellSize * 0.08);
+            ctx.font = `${Math.round(cellSize * 0.22)}px sans-serif`;
+            ctx.fillText(this.formatOverlayScore(score), x, y + cellSize * 0.22);
+        });
+    }
+    
+    /**
+     * 绘制根节点评分热力图：得分准确的点按得分从蓝（低）到红（高）着色并标出分数，
+     * Alpha-Beta只算出上界的点画灰色并标 "≤"，
+     * 被 candidateCount 截掉的点画灰色圆圈，超出 searchRange 的点画小灰点
+     */
+    drawScoreOverlay(ctx, cellSize) {
+        const { scores, cutMoves, outOfRangeMoves } = this.scoreOverlay;
+        // MCTS 的得分没有 exact 字段，都按准确值显示
+        const values = scores.filter(({ exact }) => exact !== false).map(({ score }) => score);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        
+        ctx.font = `${Math.round(cellSize * 0.28)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        scores.forEach(({ move: [row, col], score, exact }) => {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            const t = max > min ? (score - min) / (max - min) : 1;
+            const half = cellSize * 0.45;
+            const bound = exact === false;
+            
+            ctx.fillStyle = bound
+                ? 'rgba(107, 114, 128, 0.45)'
+                : `hsla(${Math.round(240 * (1 - t))}, 85%, 50%, 0.55)`;
+            ctx.fillRect(x - half, y - half, half * 2, half * 2);
+            
+            if (this.board[row][col] === 0) {
+                ctx.fillStyle = bound ? '#e5e7eb' : '#fff';
+                ctx.fillText(`${bound ? '≤' : ''}${this.formatOverlayScore(score)}`, x, y);
+            }
+        });
+        
+        ctx.strokeStyle = 'rgba(75, 85, 99, 0.7)';
+        ctx.lineWidth = 1.5;
+        cutMoves.forEach(([row, col]) => {
+            if (this.board[row][col] !== 0) return;
+            ctx.beginPath();
+            ctx.arc((col + 1) * cellSize, (row + 1) * cellSize, cellSize * 0.25, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        
+        ctx.fillStyle = 'rgba(75, 85, 99, 0.5)';
+        outOfRangeMoves.forEach(([row, col]) => {
+            if (this.board[row][col] !== 0) return;
+            ctx.beginPath();
+            ctx.arc((col + 1) * cellSize, (row + 1) * cellSize, cellSize * 0.08, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    
+    /**
+     * 热力图上的分数：杀棋分数显示为胜/负，千以上用 k 表示
      */
-    render(hoverPosition = null) {
-        if (!this.ctx) return;
-        
-        const ctx = this.ctx;
-        const size = this.canvas.width / (window.devicePixelRatio || 1);
-        const cellSize = this.cellSize;
-        
-        // 清空画布
-        ctx.clearRect(0, 0, size, size);
-        
-        // 绘制棋盘背景
-        this.drawBoardBackground(ctx, size);
-        
-        // 绘制网格
-        this.drawGrid(ctx, size, cellSize);
-        
-        // 绘制棋子
-        this.drawPieces(ctx, cellSize);
-
-        this.drawLastMoveMarker(ctx, cellSize);
+    formatOverlayScore(score) {
+        if (score >= 10000) return '胜';
+        if (score <= -10000) return '负';
+        if (Math.abs(score) >= 1000) return `${(score / 1000).toFixed(1)}k`;
+        return String(Math.round(score));
+    }
+    
+    /**
+     * 绘制第5手候选点（半透明黑子）
+     */
+    drawFifthCandidates(ctx, cellSize) {
+        ctx.font = `bold ${Math.round(cellSize * 0.4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
         
-        // 绘制悬停效果
-        if (hoverPosition) {
-            this.drawHoverEffect(ctx, hoverPosition, cellSize);
+        for (const [row, col] of this.opening.candidates) {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            
+            ctx.beginPath();
+            ctx.arc(x, y, cellSize * 0.4, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.fill();
+            ctx.strokeStyle = '#6366f1';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            ctx.fillStyle = '#fff';
+            ctx.fillText('5', x, y);
         }
+    }
+    
+    /**
+     * 绘制黑方禁手点（红色叉）
+     */
+    drawForbiddenPoints(ctx, cellSize) {
+        const half = cellSize * 0.2;
+        ctx.strokeStyle = 'rgba(220, 38, 38, 0.85)';
+        ctx.lineWidth = 2;
         
-        // 绘制胜利连线
-        if (this.gameOver && this.winner > 0) {
-            this.drawWinningLine(ctx, cellSize);
+        for (const [row, col] of this.forbiddenPoints) {
+            const x = (col + 1) * cellSize;
+            const y = (row + 1) * cellSize;
+            ctx.beginPath();
+            ctx.moveTo(x - half, y - half);
+            ctx.lineTo(x + half, y + half);
+            ctx.moveTo(x + half, y - half);
+            ctx.lineTo(x - half, y + half);
+            ctx.stroke();
         }
     }
-
-    drawLastMoveMarker(ctx, cellSize) {
-        if (this.moveHistory.length === 0) return;
-
-        // 获取最后一步棋
-        const lastMove = this.moveHistory[this.moveHistory.length - 1];
-        const [row, col, player] = lastMove;
-
-        const x = (col + 1) * cellSize;
-        const y = (row + 1) * cellSize;
-
-        // 绘制红点
-        ctx.beginPath();
-        ctx.arc(x, y, cellSize * 0.15, 0, Math.PI * 2); // 半径为格子大小的10%
-        ctx.fillStyle = '#ff4d4f'; // 漂亮的亮红色
-        ctx.fill();
-
-        // 给红点加一个微小的描边，防止在黑子上看不清（可选）
-        ctx.strokeStyle = 'white';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-    }
     
     /**
      * 绘制棋盘背景
@@ -536,12 +2595,8 @@ class GomokuGame {
         }
         
         // 绘制天元和星位
-        const starPoints = [
-            [3, 3], [3, 11], [7, 7], [11, 3], [11, 11]
-        ];
-        
         ctx.fillStyle = '#333';
-        for (const [row, col] of starPoints) {
+        for (const [row, col] of this.getStarPoints()) {
             const x = (col + 1) * cellSize;
             const y = (row + 1) * cellSize;
             ctx.beginPath();
@@ -550,6 +2605,22 @@ class GomokuGame {
         }
     }
     
+    /**
+     * 按棋盘大小计算天元和星位：四角星位距边 3 路（13 路以下为 2 路），17 路以上再加四边中点
+     */
+    getStarPoints() {
+        const size = this.boardSize;
+        const center = Math.floor(size / 2);
+        const near = size >= 13 ? 3 : 2;
+        const far = size - 1 - near;
+        
+        const points = [[center, center], [near, near], [near, far], [far, near], [far, far]];
+        if (size >= 17) {
+            points.push([near, center], [center, near], [center, far], [far, center]);
+        }
+        return points;
+    }
+    
     /**
      * 绘制棋子
      */
@@ -650,6 +2721,8 @@ class GomokuGame {
         } else if (pageName === 'logs') {
             this.updateLogsUI();
             this.updateLogStats();
+            // 图表在隐藏的页面中初始化时宽度为 0
+            if (this.evalChart) this.evalChart.resize();
         } else if (pageName === 'game') {
             this.initCanvas();
             this.render();
@@ -667,6 +2740,13 @@ class GomokuGame {
             document.getElementById('depth-value').textContent = this.settings.searchDepth;
         }
         
+        // 更新每步思考时间
+        const timeInput = document.getElementById('time-limit');
+        if (timeInput) {
+            timeInput.value = this.settings.timeLimit;
+            document.getElementById('time-value').textContent = this.formatTimeLimit(this.settings.timeLimit);
+        }
+        
         // 更新候选点数
         const candidateInput = document.getElementById('candidate-count');
         if (candidateInput) {
@@ -681,6 +2761,61 @@ class GomokuGame {
             document.getElementById('range-value').textContent = this.settings.searchRange;
         }
         
+        // 更新引擎
+        const engineSelect = document.getElementById('engine');
+        if (engineSelect) engineSelect.value = this.settings.engine;
+        const mctsIterationsInput = document.getElementById('mcts-iterations');
+        if (mctsIterationsInput) mctsIterationsInput.value = this.settings.mctsIterations;
+        const mctsExplorationInput = document.getElementById('mcts-exploration');
+        if (mctsExplorationInput) mctsExplorationInput.value = this.settings.mctsExploration;
+        
+        // 更新棋盘大小
+        const boardSizeInput = document.getElementById('board-size');
+        if (boardSizeInput) boardSizeInput.value = this.settings.boardSize;
+        
+        // 更新规则
+        const ruleSelect = document.getElementById('rule-set');
+        if (ruleSelect) ruleSelect.value = this.settings.ruleSet;
+        
+        // 更新开局协议
+        const openingSelect = document.getElementById('opening-rule');
+        if (openingSelect) openingSelect.value = this.settings.openingRule;
+        const openingRoleSelect = document.getElementById('opening-ai-role');
+        if (openingRoleSelect) openingRoleSelect.value = this.settings.openingAIRole;
+        const fifthInput = document.getElementById('fifth-candidates');
+        if (fifthInput) fifthInput.value = this.settings.fifthCandidates;
+        
+        // 更新增量评估开关
+        const incrementalToggle = document.getElementById('incremental-eval');
+        if (incrementalToggle) incrementalToggle.checked = this.settings.incrementalEval;
+        
+        // 更新必胜搜索设置
+        const vctToggle = document.getElementById('use-vct');
+        if (vctToggle) vctToggle.checked = this.settings.useVCT;
+        const vctDepthInput = document.getElementById('vct-depth');
+        if (vctDepthInput) vctDepthInput.value = this.settings.vctDepth;
+        const vctNodeInput = document.getElementById('vct-node-limit');
+        if (vctNodeInput) vctNodeInput.value = this.settings.vctNodeLimit;
+        
+        // 更新开局库设置
+        const bookToggle = document.getElementById('use-opening-book');
+        if (bookToggle) bookToggle.checked = this.settings.useOpeningBook;
+        const bookMovesInput = document.getElementById('opening-book-max-moves');
+        if (bookMovesInput) bookMovesInput.value = this.settings.openingBookMaxMoves;
+        this.updateOpeningBookStatus();
+        
+        // 更新着法排序开关
+        const killerToggle = document.getElementById('use-killer-moves');
+        if (killerToggle) killerToggle.checked = this.settings.useKillerMoves;
+        const historyToggle = document.getElementById('use-history-heuristic');
+        if (historyToggle) historyToggle.checked = this.settings.useHistoryHeuristic;
+        const recordTreeToggle = document.getElementById('record-tree');
+        if (recordTreeToggle) recordTreeToggle.checked = this.settings.recordTree;
+        const treeLimitInput = document.getElementById('tree-node-limit');
+        if (treeLimitInput) treeLimitInput.value = this.settings.treeNodeLimit;
+        const analysisTimeInput = document.getElementById('analysis-time-limit');
+        if (analysisTimeInput) analysisTimeInput.value = this.settings.analysisTimeLimit;
+        
         // 更新权重设置
         Object.keys(this.settings.patternWeights).forEach(key => {
             const input = document.getElementById(`weight-${key}`);
@@ -697,9 +2832,18 @@ class GomokuGame {
         const path = input.dataset.setting; // 例如 "patternWeights.liveFive" 或 "searchDepth"
         if (!path) return;
 
-        const val = parseFloat(input.value); 
+        let val;
+        if (input.type === 'checkbox') {
+            val = input.checked;
+        } else if (input.tagName === 'SELECT') {
+            val = input.value;
+        } else {
+            val = parseFloat(input.value);
+        }
 
-        if (isNaN(val)) return;
+        if (typeof val === 'number' && isNaN(val)) return;
+        // 输入过程中的中间值（例如输入 "1"）不改变棋盘大小
+        if (path === 'boardSize' && !(Number.isInteger(val) && val >= 9 && val <= 19)) return;
         
         // 处理嵌套对象赋值 (例如 settings.patternWeights.liveFive)
         const keys = path.split('.');
@@ -713,6 +2857,18 @@ class GomokuGame {
         // 实时重新初始化 AI 权重
         this.initAI();
         
+        // 棋盘大小变化后重新开局
+        if (path === 'boardSize') {
+            this.applyBoardSize();
+        }
+        
+        // 规则变化后重新标出禁手点
+        if (path === 'ruleSet') {
+            this.updateForbiddenPoints();
+            this.updateGameStats();
+            this.render();
+        }
+        
         console.log(`设置已更新: ${path} = ${val}`);
     }
     
@@ -744,18 +2900,28 @@ class GomokuGame {
                 this.settings.searchRange = value;
                 valueId = 'range-value';
                 break;
+            case 'time-limit':
+                this.settings.timeLimit = Number(value);
+                valueId = 'time-value';
+                break;
         }
         
         // 2. 更新当前页面的文本显示
         const valueDisplay = document.getElementById(valueId);
         if (valueDisplay) {
-            valueDisplay.textContent = value;
+            valueDisplay.textContent = slider.id === 'time-limit' ? this.formatTimeLimit(value) : value;
         }
         
         // 3. 实时重新初始化AI
         this.initAI();
     }
     
+    /**
+     * 格式化每步思考时间的显示
+     */
+    formatTimeLimit(ms) {
+        return Number(ms) > 0 ? `${ms}ms` : '不限';
+    }
     
     /**
      * 重置设置
@@ -765,6 +2931,9 @@ class GomokuGame {
         
         this.updateSettingsUI();
         this.initAI();
+        if (this.boardSize !== this.settings.boardSize) {
+            this.applyBoardSize();
+        }
         this.showModal('设置已重置为默认值！');
     }
     
@@ -806,25 +2975,225 @@ class GomokuGame {
         let totalNodes = 0;
         let totalPruning = 0;
         let totalTime = 0;
+        let totalTTHits = 0;
+        let totalTTStores = 0;
         
         aiLogs.forEach(log => {
             if (log.data) {
                 totalNodes += log.data.searchNodes || 0;
                 totalPruning += log.data.pruningCount || 0;
                 totalTime += log.data.searchTime || 0;
+                totalTTHits += log.data.ttHits || 0;
+                totalTTStores += log.data.ttStores || 0;
             }
         });
         
         const avgTime = aiLogs.length > 0 ? Math.round(totalTime / aiLogs.length) : 0;
+        const nodesPerSecond = totalTime > 0 ? Math.round(totalNodes * 1000 / totalTime) : 0;
         
         // 更新显示
         const nodesEl = document.getElementById('total-nodes');
         const pruningEl = document.getElementById('total-pruning');
         const avgTimeEl = document.getElementById('avg-search-time');
+        const speedEl = document.getElementById('nodes-per-second');
+        const ttHitsEl = document.getElementById('total-tt-hits');
+        const ttStoresEl = document.getElementById('total-tt-stores');
         
         if (nodesEl) nodesEl.textContent = totalNodes.toLocaleString();
         if (pruningEl) pruningEl.textContent = totalPruning.toLocaleString();
         if (avgTimeEl) avgTimeEl.textContent = avgTime + 'ms';
+        if (speedEl) speedEl.textContent = nodesPerSecond.toLocaleString() + ' 节点/秒';
+        if (ttHitsEl) ttHitsEl.textContent = totalTTHits.toLocaleString();
+        if (ttStoresEl) ttStoresEl.textContent = totalTTStores.toLocaleString();
+        
+        this.renderMoveOrderingStats(aiLogs);
+    }
+    
+    /**
+     * 按杀手着法/历史启发的开关组合分组，比较首着剪枝率和有效分支因子
+     * （只统计进行了Alpha-Beta搜索的落子，VCF/VCT直接取胜和MCTS的落子不计入）
+     */
+    renderMoveOrderingStats(aiLogs) {
+        const tbody = document.getElementById('move-ordering-stats');
+        if (!tbody) return;
+        
+        const groups = new Map();
+        aiLogs.forEach(({ data }) => {
+            if (!data.moveOrdering || !data.reachedDepth || !data.effectiveBranchingFactor) return;
+            
+            const { killerMoves, historyHeuristic } = data.moveOrdering;
+            const key = `${killerMoves}-${historyHeuristic}`;
+            if (!groups.has(key)) {
+                groups.set(key, { killerMoves, historyHeuristic, moves: 0, nodes: 0, cutoffs: 0, firstMoveCutoffs: 0, branching: 0 });
+            }
+            const group = groups.get(key);
+            group.moves++;
+            group.nodes += data.searchNodes || 0;
+            group.cutoffs += data.pruningCount || 0;
+            group.firstMoveCutoffs += (data.firstMoveCutoffRate || 0) * (data.pruningCount || 0);
+            group.branching += data.effectiveBranchingFactor;
+        });
+        
+        if (groups.size === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="py-2 text-gray-400">暂无Alpha-Beta搜索记录</td></tr>';
+            return;
+        }
+        
+        const onOff = value => value ? '<span class="text-green-400">开</span>' : '<span class="text-gray-400">关</span>';
+        tbody.innerHTML = [...groups.values()].map(group => {
+            const rate = group.cutoffs > 0 ? (group.firstMoveCutoffs / group.cutoffs * 100).toFixed(1) + '%' : '-';
+            return `
+                <tr class="border-t border-gray-600">
+                    <td class="py-2">${onOff(group.killerMoves)}</td>
+                    <td class="py-2">${onOff(group.historyHeuristic)}</td>
+                    <td class="py-2">${group.moves}</td>
+                    <td class="py-2">${Math.round(group.nodes / group.moves).toLocaleString()}</td>
+                    <td class="py-2">${rate}</td>
+                    <td class="py-2">${(group.branching / group.moves).toFixed(2)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * 在日志页渲染搜索树：每个节点是可折叠的一行，点击后在小棋盘上显示对应局面
+     */
+    renderSearchTree() {
+        const container = document.getElementById('search-tree-container');
+        const summary = document.getElementById('search-tree-summary');
+        const tree = this.searchTree;
+        if (!container || !tree) return;
+        
+        if (summary) {
+            summary.textContent = `深度 ${tree.depth}，记录 ${tree.nodeCount} 个节点` +
+                (tree.truncated ? '（达到节点上限，之后的节点未记录）' : '');
+        }
+        container.innerHTML = this.buildTreeNodeHTML(tree.root, '', true);
+        this.showSearchTreeNode('');
+    }
+    
+    /**
+     * 单个搜索树节点及其子节点的HTML
+     * @param {String} path - 从根节点开始的子节点下标，如 "0.3.1"，根节点为 ""
+     */
+    buildTreeNodeHTML(node, path, open = false) {
+        const label = `<span class="cursor-pointer hover:text-orange-300" data-tree-path="${path}">${this.formatTreeNode(node)}</span>`;
+        if (node.children.length === 0) {
+            return `<div class="pl-4 py-0.5">${label}</div>`;
+        }
+        
+        const children = node.children
+            .map((child, index) => this.buildTreeNodeHTML(child, path === '' ? String(index) : `${path}.${index}`))
+            .join('');
+        return `<details class="pl-4 py-0.5"${open ? ' open' : ''}><summary>${label}</summary>${children}</details>`;
+    }
+    
+    /**
+     * 搜索树节点的文本：着法、剩余深度、alpha/beta 窗口、得分和剪枝标记
+     */
+    formatTreeNode(node) {
+        const move = node.move
+            ? `${node.player === 1 ? '黑' : '白'} (${node.move[0]}, ${node.move[1]})`
+            : '当前局面';
+        let text = `${move} 深度 ${node.depth} α=${this.formatBound(node.alpha)} β=${this.formatBound(node.beta)} 得分 ${node.score === null ? '-' : this.formatBound(node.score)}`;
+        if (node.win) text += ' <span class="text-yellow-300">成五</span>';
+        if (node.fromTT) text += ' <span class="text-purple-300">置换表</span>';
+        if (node.cutoff) text += ' <span class="text-red-400">✂ 剪枝</span>';
+        if (node.pruned > 0) text += ` <span class="text-gray-400">（跳过 ${node.pruned} 个子节点）</span>`;
+        return text;
+    }
+    
+    /**
+     * alpha/beta 等搜索窗口边界的文本，无穷大显示为 ±∞
+     */
+    formatBound(value) {
+        if (value === Infinity) return '+∞';
+        if (value === -Infinity) return '-∞';
+        return String(Math.round(value));
+    }
+    
+    /**
+     * 在小棋盘上显示搜索树节点对应的局面，沿途的着法标上序号
+     */
+    showSearchTreeNode(path) {
+        const tree = this.searchTree;
+        if (!tree) return;
+        
+        const nodes = [];
+        let node = tree.root;
+        if (path !== '') {
+            for (const index of path.split('.').map(Number)) {
+                node = node.children[index];
+                if (!node) return;
+                nodes.push(node);
+            }
+        }
+        
+        const info = document.getElementById('search-tree-node-info');
+        if (info) {
+            info.innerHTML = this.formatTreeNode(node);
+        }
+        
+        const canvas = document.getElementById('search-tree-board');
+        if (canvas) {
+            this.drawMiniBoard(canvas, tree.board, nodes.map(({ move, player }) => [move[0], move[1], player]));
+        }
+    }
+    
+    /**
+     * 绘制小棋盘：原有棋子加上按顺序编号的后续着法，最后一手用红圈标出
+     */
+    drawMiniBoard(canvas, board, moves) {
+        const ctx = canvas.getContext('2d');
+        const size = canvas.width;
+        const boardSize = board.length;
+        const cellSize = size / (boardSize + 1);
+        
+        ctx.clearRect(0, 0, size, size);
+        ctx.fillStyle = '#d4a55a';
+        ctx.fillRect(0, 0, size, size);
+        
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < boardSize; i++) {
+            const offset = (i + 1) * cellSize;
+            ctx.beginPath();
+            ctx.moveTo(cellSize, offset);
+            ctx.lineTo(size - cellSize, offset);
+            ctx.moveTo(offset, cellSize);
+            ctx.lineTo(offset, size - cellSize);
+            ctx.stroke();
+        }
+        
+        const drawStone = (row, col, player) => {
+            ctx.beginPath();
+            ctx.arc((col + 1) * cellSize, (row + 1) * cellSize, cellSize * 0.42, 0, Math.PI * 2);
+            ctx.fillStyle = player === 1 ? '#000' : '#fff';
+            ctx.fill();
+        };
+        
+        for (let row = 0; row < boardSize; row++) {
+            for (let col = 0; col < boardSize; col++) {
+                if (board[row][col] !== 0) drawStone(row, col, board[row][col]);
+            }
+        }
+        
+        ctx.font = `bold ${Math.round(cellSize * 0.6)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        moves.forEach(([row, col, player], index) => {
+            drawStone(row, col, player);
+            ctx.fillStyle = player === 1 ? '#fff' : '#000';
+            ctx.fillText(String(index + 1), (col + 1) * cellSize, (row + 1) * cellSize);
+            
+            if (index === moves.length - 1) {
+                ctx.beginPath();
+                ctx.arc((col + 1) * cellSize, (row + 1) * cellSize, cellSize * 0.5, 0, Math.PI * 2);
+                ctx.strokeStyle = '#ff4d4f';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        });
     }
     
     /**
@@ -865,6 +3234,204 @@ class GomokuGame {
         this.updateLogsUI();
     }
     
+    /**
+     * 读取保存的自定义开局库，没有时返回 null（使用AI内置的开局库）
+     */
+    loadOpeningBook() {
+        const saved = localStorage.getItem('gomoku-opening-book');
+        if (!saved) return null;
+        
+        try {
+            return new OpeningBook(JSON.parse(saved)).toJSON();
+        } catch (error) {
+            console.warn('开局库数据损坏，使用内置开局库:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * 保存开局库并重新创建AI，使之后的搜索使用新的开局库
+     */
+    saveOpeningBook(book) {
+        this.openingBook = book ? book.toJSON() : null;
+        if (this.openingBook) {
+            localStorage.setItem('gomoku-opening-book', JSON.stringify(this.openingBook));
+        } else {
+            localStorage.removeItem('gomoku-opening-book');
+        }
+        this.initAI();
+        this.updateOpeningBookStatus();
+    }
+    
+    /**
+     * 当前使用的开局库（自定义的或内置的），修改前先取出一份
+     */
+    getOpeningBook() {
+        return this.openingBook
+            ? new OpeningBook(this.openingBook)
+            : OpeningBook.createDefault(this.boardSize);
+    }
+    
+    updateOpeningBookStatus() {
+        const status = document.getElementById('opening-book-status');
+        if (!status) return;
+        
+        const book = this.getOpeningBook();
+        status.textContent = `${this.openingBook ? '自定义开局库' : '内置开局库'}，共 ${book.size} 个局面`;
+    }
+    
+    /**
+     * 把本局的前 openingBookMaxMoves 手加入开局库
+     */
+    learnOpeningFromGame() {
+        if (this.moveHistory.length === 0) {
+            this.showModal('本局还没有落子');
+            return;
+        }
+        
+        const book = this.getOpeningBook();
+        const count = book.learnGame(this.moveHistory, this.boardSize, this.settings.openingBookMaxMoves);
+        this.saveOpeningBook(book);
+        this.addLog({
+            type: 'info',
+            message: `开局库: 学习了本局的前 ${count} 手，共 ${book.size} 个局面`
+        });
+        this.showModal(`已将本局的前 ${count} 手加入开局库`);
+    }
+    
+    /**
+     * 导入 JSON 格式的开局库，与当前开局库合并（相同着法权重相加）
+     */
+    importOpeningBook(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const book = this.getOpeningBook();
+                book.merge(JSON.parse(reader.result));
+                this.saveOpeningBook(book);
+                this.showModal(`开局库导入成功，共 ${book.size} 个局面`);
+            } catch (error) {
+                this.showModal(`开局库导入失败：${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    exportOpeningBook() {
+        const content = JSON.stringify(this.getOpeningBook().toJSON(), null, 2);
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `gomoku-opening-book-${new Date().toISOString().slice(0, 10)}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 丢弃自定义开局库，恢复内置开局库
+     */
+    resetOpeningBook() {
+        this.saveOpeningBook(null);
+        this.showModal('已恢复内置开局库');
+    }
+    
+    /**
+     * 当前对局的棋谱（含对局双方、规则、结果和引擎设置）
+     */
+    createGameRecord() {
+        const players = { 1: '黑方', 2: '白方' };
+        if (this.aiColor) {
+            players[this.aiColor] = `AI (${this.settings.engine})`;
+            players[3 - this.aiColor] = '玩家';
+        }
+        // 保存正在查看的整条变化，SGF 中另外保存整棵对局树；结果按这条变化的最后一手判断
+        const record = new GameRecord({
+            boardSize: this.boardSize,
+            moves: this.gameTree.getLine().map(({ move }) => move),
+            tree: this.gameTree,
+            metadata: {
+                black: players[1],
+                white: players[2],
+                ruleSet: this.settings.ruleSet,
+                date: new Date().toISOString().slice(0, 10),
+                settings: this.settings
+            }
+        });
+        try {
+            const { winner } = record.replay();
+            record.metadata.result = winner === -1 ? null : winner;
+        } catch (error) {
+            // 对局中途改过规则时，之前的着法可能不符合新规则，此时不记录结果
+        }
+        return record;
+    }
+    
+    /**
+     * 按所选格式下载当前棋谱
+     */
+    exportGameRecord() {
+        const select = document.getElementById('record-format');
+        const format = select ? select.value : 'sgf';
+        const content = this.createGameRecord().format(format);
+        
+        const blob = new Blob([content], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `gomoku-game-${new Date().toISOString().slice(0, 10)}.${RECORD_FORMATS[format].extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 读取棋谱文本，逐手验证后替换当前对局；有错误时保持当前对局不变
+     * 棋盘大小或规则与当前设置不同时改用棋谱中的设置，棋谱附带的引擎设置不会应用
+     */
+    importGameRecord(text) {
+        if (this.aiThinking) {
+            this.showModal('AI思考中，请稍后再导入棋谱');
+            return;
+        }
+        
+        let record, position;
+        try {
+            record = GameRecord.parse(text, { boardSize: this.boardSize, ruleSet: this.settings.ruleSet });
+            position = record.replay();
+        } catch (error) {
+            this.showModal(`棋谱导入失败：${error.message}`);
+            return;
+        }
+        
+        this.settings.ruleSet = record.metadata.ruleSet || this.settings.ruleSet;
+        if (record.boardSize !== this.boardSize) {
+            this.settings.boardSize = record.boardSize;
+            this.boardSize = record.boardSize;
+            this.initCanvas();
+        }
+        this.initAI();
+        this.updateSettingsUI();
+        
+        this.initBoard();
+        this.board = position.board;
+        this.gameTree = record.tree || GameTree.fromMoves(record.moves);
+        this.currentPlayer = position.currentPlayer;
+        if (position.winner !== -1) {
+            this.gameOver = true;
+            this.winner = position.winner;
+        }
+        this.updateForbiddenPoints();
+        this.updateGameStats();
+        this.render();
+        
+        this.addLog({
+            type: 'info',
+            message: `导入棋谱: ${record.boardSize}路 ${RULE_VARIANTS[this.settings.ruleSet]}，共 ${record.moves.length} 手`,
+            data: this.getGameRecord()
+        });
+        this.showModal(`棋谱导入成功，共 ${record.moves.length} 手`);
+    }
+    
     /**
      * 导出日志
      */
@@ -0,0 +1,308 @@
+/**
+ * 五子棋蒙特卡洛树搜索（MCTS）引擎
+ * 继承 GomokuAI，沿用它的规则判定、候选点生成和局面评估，只替换 findBestMove：
+ *   选择   按 UCT 公式沿树向下选择子节点
+ *   扩展   用 generateCandidateMoves 生成的候选点逐个展开新节点
+ *   模拟   随机走子（偏向候选点排序靠前的位置），超过模拟步数后用静态评估估算胜率
+ *   回传   把黑方胜率沿路径累加到每个节点
+ * 返回结果与 GomokuAI.findBestMove 的格式相同，另附根节点各子节点的访问次数和胜率。
+ */
+
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        require('./gomoku-ai.js'),
+        require('./incremental-evaluator.js')
+    );
+}
+
+class MCTSAI extends GomokuAI {
+    constructor(settings = {}) {
+        super({
+            mctsIterations: 20000,  // 最多模拟次数（同时受 timeLimit 限制）
+            mctsExploration: 1.4,   // UCT 探索系数
+            mctsRolloutDepth: 10,   // 每次模拟最多走的步数
+            ...settings
+        });
+    }
+
+    /**
+     * 主搜索函数 - 蒙特卡洛树搜索
+     * @param {Array} board - 当前棋盘状态
+     * @param {Number} player - 当前玩家 (1=黑, 2=白)
+     * @returns {Object} - 最佳落子和相关信息，格式同 GomokuAI.findBestMove
+     */
+    findBestMove(board, player) {
+        this.searchNodes = 0;
+        this.pruningCount = 0;
+        this.ttHits = 0;
+        this.ttStores = 0;
+        this.vcfNodes = 0;
+        this.vctNodes = 0;
+        this.logs = [];
+
+        const startTime = Date.now();
+        this.hash = this.computeHash(board);
+
+        if (this.settings.incrementalEval) {
+            this.evaluator = this.evaluator || new IncrementalEvaluator(this);
+            this.evaluator.reset(board);
+        }
+
+        const timeLimit = Number(this.settings.timeLimit) || 0;
+        this.deadline = timeLimit > 0 ? startTime + timeLimit : Infinity;
+        this.aborted = false;
+        this.startTime = startTime;
+        this.lastProgressTime = startTime;
+        this.bestSoFar = null;
+        this.currentDepth = 0;
+
+        const bookResult = this.playFromOpeningBook(board, player, startTime);
+        if (bookResult) return bookResult;
+
+        // 根节点的 player 是上一手的落子方
+        const root = this.createNode(board, null, 3 - player);
+        this.log(`生成了 ${root.untried.length} 个候选着点`);
+
+        if (root.untried.length === 0) {
+            return null;
+        }
+        this.reportFirstCandidate(root.untried[0], player);
+
+        const maxIterations = Number(this.settings.mctsIterations);
+        let simulations = 0;
+        // 至少完成一次模拟，保证有可用的着法
+        while (simulations < maxIterations && (simulations === 0 || !this.isTimeUp())) {
+            this.runSimulation(root, board);
+            simulations++;
+
+            if ((simulations & 63) === 0) {
+                const best = this.getMostVisitedChild(root);
+                this.bestSoFar = {
+                    move: best.move,
+                    score: this.winRateToScore(best),
+                    depth: this.currentDepth,
+                    pv: this.getPrincipalVariation(root)
+                };
+                this.reportProgress();
+            }
+        }
+
+        const best = this.getMostVisitedChild(root);
+        const rootStats = root.children
+            .map(child => ({
+                move: child.move,
+                visits: child.visits,
+                winRate: child.wins / child.visits
+            }))
+            .sort((a, b) => b.visits - a.visits);
+
+        for (const { move, visits, winRate } of rootStats) {
+            this.log(`MCTS 根节点 (${move[0]}, ${move[1]}): 访问 ${visits} 次, 胜率 ${(winRate * 100).toFixed(1)}%`);
+        }
+
+        const searchTime = Date.now() - startTime;
+        const score = this.winRateToScore(best);
+        const pv = this.getPrincipalVariation(root);
+        this.log(`搜索完成: ${simulations} 次模拟, 最佳位置 ${best.move[0]},${best.move[1]}, 胜率 ${(best.wins / best.visits * 100).toFixed(1)}%, 耗时 ${searchTime}ms`);
+        this.log(`主变化: ${this.formatPV(pv)}`);
+
+        return {
+            move: best.move,
+            score,
+            pv,
+            rootScores: root.children
+                .map(child => ({ move: child.move, score: this.winRateToScore(child) }))
+                .sort((a, b) => b.score - a.score),
+            cutMoves: this.generateCandidateMoves(board, player, Infinity).slice(this.settings.candidateCount),
+            outOfRangeMoves: this.getOutOfRangeMoves(board),
+            reachedDepth: pv.length,
+            iterations: [],
+            vcf: null,
+            vct: null,
+            vcfNodes: 0,
+            vctNodes: 0,
+            simulations,
+            rootStats,
+            searchNodes: this.searchNodes,
+            nodesPerSecond: searchTime > 0 ? Math.round(this.searchNodes / searchTime * 1000) : this.searchNodes,
+            pruningCount: 0,
+            ttHits: 0,
+            ttStores: 0,
+            searchTime,
+            logs: this.logs
+        };
+    }
+
+    /**
+     * 创建树节点
+     * @param {Array|null} move - 进入该节点的着法 [row, col]，根节点为 null
+     * @param {Number} player - 走出该着法的一方
+     */
+    createNode(board, move, player) {
+        this.searchNodes++;
+
+        // result: null=未结束, 0=和棋, 1/2=获胜方
+        let result = null;
+        if (move && this.rules.isWinningMove(board, move[0], move[1], player)) {
+            result = player;
+        }
+
+        const untried = result === null ? this.generateCandidateMoves(board, 3 - player) : [];
+        if (result === null && untried.length === 0) {
+            result = 0;
+        }
+
+        return {
+            move,
+            player,
+            children: [],
+            untried,   // 尚未展开的候选点，按快速评估分数从高到低
+            visits: 0,
+            wins: 0,   // 从 player 角度累计的胜率
+            result
+        };
+    }
+
+    /**
+     * 一次完整的 选择-扩展-模拟-回传
+     */
+    runSimulation(root, board) {
+        const path = [root];
+        let node = root;
+
+        // 选择
+        while (node.result === null && node.untried.length === 0) {
+            node = this.selectChild(node);
+            this.makeMove(board, node.move[0], node.move[1], node.player);
+            path.push(node);
+        }
+
+        // 扩展
+        if (node.result === null) {
+            const [row, col] = node.untried.shift();
+            const mover = 3 - node.player;
+            this.makeMove(board, row, col, mover);
+            const child = this.createNode(board, [row, col], mover);
+            node.children.push(child);
+            path.push(child);
+            node = child;
+        }
+
+        this.currentDepth = Math.max(this.currentDepth, path.length - 1);
+
+        // 模拟
+        const blackWinRate = node.result !== null
+            ? this.resultToBlackWinRate(node.result)
+            : this.rollout(board, 3 - node.player);
+
+        // 回传并撤销路径上的落子
+        for (let i = path.length - 1; i >= 0; i--) {
+            const current = path[i];
+            current.visits++;
+            current.wins += current.player === 1 ? blackWinRate : 1 - blackWinRate;
+            if (i > 0) {
+                this.unmakeMove(board, current.move[0], current.move[1], current.player);
+            }
+        }
+    }
+
+    /**
+     * UCT 选择：胜率 + 探索项
+     */
+    selectChild(node) {
+        const logVisits = Math.log(node.visits);
+        const exploration = Number(this.settings.mctsExploration);
+        let best = null;
+        let bestValue = -Infinity;
+
+        for (const child of node.children) {
+            const value = child.wins / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 随机模拟：从候选点前3名中随机走子，越靠前概率越大
+     * 超过 mctsRolloutDepth 步仍未分出胜负时，用静态评估换算胜率
+     * @returns {Number} - 黑方胜率 0 ~ 1
+     */
+    rollout(board, player) {
+        const played = [];
+        let toMove = player;
+        let blackWinRate = null;
+
+        for (let ply = 0; ply < this.settings.mctsRolloutDepth; ply++) {
+            const moves = this.generateCandidateMoves(board, toMove);
+            if (moves.length === 0) {
+                blackWinRate = 0.5;
+                break;
+            }
+
+            const index = Math.floor(Math.random() * Math.random() * Math.min(3, moves.length));
+            const [row, col] = moves[index];
+            this.makeMove(board, row, col, toMove);
+            played.push([row, col, toMove]);
+            this.searchNodes++;
+
+            if (this.rules.isWinningMove(board, row, col, toMove)) {
+                blackWinRate = this.resultToBlackWinRate(toMove);
+                break;
+            }
+            toMove = 3 - toMove;
+        }
+
+        // 评估分数按活三的权重缩放后映射到 0 ~ 1
+        if (blackWinRate === null) {
+            const score = this.evaluateLeaf(board, 1);
+            blackWinRate = 1 / (1 + Math.exp(-score / this.settings.patternWeights.liveThree));
+        }
+
+        for (let i = played.length - 1; i >= 0; i--) {
+            const [row, col, stone] = played[i];
+            this.unmakeMove(board, row, col, stone);
+        }
+        return blackWinRate;
+    }
+
+    resultToBlackWinRate(result) {
+        if (result === 0) return 0.5;
+        return result === 1 ? 1 : 0;
+    }
+
+    getMostVisitedChild(node) {
+        return node.children.reduce((best, child) => (child.visits > best.visits ? child : best));
+    }
+
+    /**
+     * 胜率换算为得分：50% 为 0，必胜/必败为 ±1000（不与 Alpha-Beta 的杀棋分数 ±10000 混淆）
+     */
+    winRateToScore(node) {
+        return Math.round((node.wins / node.visits * 2 - 1) * 1000);
+    }
+
+    /**
+     * 沿访问次数最多的子节点向下的主变化 [[row, col, player], ...]
+     */
+    getPrincipalVariation(root) {
+        const pv = [];
+        let node = root;
+        while (node.children.length > 0) {
+            node = this.getMostVisitedChild(node);
+            pv.push([node.move[0], node.move[1], node.player]);
+        }
+        return pv;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MCTSAI };
+} else {
+    self.MCTSAI = MCTSAI;
+}
@@ -0,0 +1,227 @@
+/**
+ * 开局库：按局面记录带权重的候选着法，AI在开局阶段直接按权重随机选用，不再搜索
+ * - 局面在8种旋转/镜像下归一化，对称的局面共用同一条记录
+ * - 库中的着法按归一化后的坐标保存，查询时换算回实际棋盘
+ * - 可以导入/导出为 JSON，也可以把一局棋的着法加入库中
+ *
+ * JSON 格式: { version: 1, positions: { "<局面>": [[row, col, weight], ...] } }
+ * 局面写作 "棋盘大小:行棋方:棋子"，棋子按 row * size + col 从小到大排列，
+ * 例如 "15:2:112b" 表示15路棋盘上黑子在天元、轮到白方
+ */
+
+// 8种对称变换：(row, col) -> [row, col]，n 为 size - 1
+const BOOK_SYMMETRIES = [
+    (row, col) => [row, col],
+    (row, col, n) => [col, n - row],      // 顺时针旋转90°
+    (row, col, n) => [n - row, n - col],  // 旋转180°
+    (row, col, n) => [n - col, row],      // 逆时针旋转90°
+    (row, col, n) => [row, n - col],      // 左右镜像
+    (row, col, n) => [n - row, col],      // 上下镜像
+    (row, col) => [col, row],             // 沿主对角线镜像
+    (row, col, n) => [n - col, n - row]   // 沿副对角线镜像
+];
+
+// 各变换的逆变换在 BOOK_SYMMETRIES 中的下标（两个旋转90°互逆，其余都是自身的逆）
+const BOOK_INVERSES = [0, 3, 2, 1, 4, 5, 6, 7];
+
+class OpeningBook {
+    /**
+     * @param {Object|null} data - toJSON() 导出的数据
+     */
+    constructor(data = null) {
+        this.positions = new Map(); // 局面 -> Map(row * size + col -> weight)，坐标为归一化后的坐标
+        if (data) {
+            this.merge(data);
+        }
+    }
+
+    /**
+     * 内置开局库：天元开局，白方直指/斜指，黑方第3手花月、浦月等常见强开局
+     */
+    static createDefault(size = 15) {
+        const book = new OpeningBook();
+        const c = Math.floor(size / 2);
+        const board = Array.from({ length: size }, () => Array(size).fill(0));
+
+        book.addMove(board, 1, [c, c], 1);
+
+        board[c][c] = 1;
+        book.addMove(board, 2, [c - 1, c], 1);     // 直指
+        book.addMove(board, 2, [c - 1, c + 1], 1); // 斜指
+
+        board[c - 1][c] = 2;
+        book.addMove(board, 1, [c - 1, c + 1], 3); // 花月
+        book.addMove(board, 1, [c - 2, c], 1);     // 寒星
+        board[c - 1][c] = 0;
+
+        board[c - 1][c + 1] = 2;
+        book.addMove(board, 1, [c - 1, c], 1);     // 浦月
+        return book;
+    }
+
+    get size() {
+        return this.positions.size;
+    }
+
+    /**
+     * 局面的归一化键：8种对称变换下字典序最小的写法
+     * @returns {Object} - { key, transform, transforms }，transform 为把实际坐标变换到归一化坐标的下标；
+     *                     局面本身对称（例如空棋盘）时 transforms 列出所有得到同一个键的变换
+     */
+    normalize(board, player) {
+        const size = board.length;
+        const stones = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (board[row][col] !== 0) stones.push([row, col, board[row][col]]);
+            }
+        }
+
+        let best = null;
+        BOOK_SYMMETRIES.forEach((symmetry, transform) => {
+            const cells = stones
+                .map(([row, col, stone]) => {
+                    const [r, c] = symmetry(row, col, size - 1);
+                    return [r * size + c, stone === 1 ? 'b' : 'w'];
+                })
+                .sort((a, b) => a[0] - b[0])
+                .map(([index, color]) => index + color)
+                .join(',');
+            const key = `${size}:${player}:${cells}`;
+            if (!best || key < best.key) {
+                best = { key, transform, transforms: [transform] };
+            } else if (key === best.key) {
+                best.transforms.push(transform);
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 查询局面的候选着法（实际棋盘坐标），按权重从高到低排列
+     * @returns {Array} - [{ move: [row, col], weight }, ...]，库中没有该局面时为空数组
+     */
+    lookup(board, player) {
+        const { key, transform } = this.normalize(board, player);
+        const moves = this.positions.get(key);
+        if (!moves) return [];
+
+        const size = board.length;
+        const inverse = BOOK_SYMMETRIES[BOOK_INVERSES[transform]];
+        return [...moves]
+            .map(([index, weight]) => ({
+                move: inverse(Math.floor(index / size), index % size, size - 1),
+                weight
+            }))
+            .sort((a, b) => b.weight - a.weight);
+    }
+
+    /**
+     * 按权重随机选一个着法，使AI每局的开局有变化
+     * @param {Function} isLegal - (row, col) => Boolean，过滤已落子或禁手的点
+     * @returns {Object|null} - { move, weight, total, candidates }
+     */
+    chooseMove(board, player, isLegal = () => true, random = Math.random) {
+        const candidates = this.lookup(board, player).filter(({ move, weight }) =>
+            weight > 0 && board[move[0]][move[1]] === 0 && isLegal(move[0], move[1])
+        );
+        if (candidates.length === 0) return null;
+
+        const total = candidates.reduce((sum, { weight }) => sum + weight, 0);
+        let pick = random() * total;
+        for (const candidate of candidates) {
+            pick -= candidate.weight;
+            if (pick < 0) {
+                return { ...candidate, total, candidates };
+            }
+        }
+        return { ...candidates[candidates.length - 1], total, candidates };
+    }
+
+    /**
+     * 给局面中的一个着法增加权重（没有时新建）
+     * 局面本身对称时，互相对称的着法记为同一个（取下标最小的写法）
+     */
+    addMove(board, player, move, weight = 1) {
+        const size = board.length;
+        const { key, transforms } = this.normalize(board, player);
+        const index = Math.min(...transforms.map(transform => {
+            const [row, col] = BOOK_SYMMETRIES[transform](move[0], move[1], size - 1);
+            return row * size + col;
+        }));
+
+        if (!this.positions.has(key)) {
+            this.positions.set(key, new Map());
+        }
+        const moves = this.positions.get(key);
+        moves.set(index, (moves.get(index) || 0) + weight);
+    }
+
+    /**
+     * 把一局棋的前 maxMoves 手加入库中，每个着法权重加 1
+     * @param {Array} moves - [[row, col, player], ...]
+     * @returns {Number} - 加入的着法数
+     */
+    learnGame(moves, size, maxMoves = 12) {
+        const board = Array.from({ length: size }, () => Array(size).fill(0));
+        const count = Math.min(moves.length, maxMoves);
+        for (let i = 0; i < count; i++) {
+            const [row, col, player] = moves[i];
+            this.addMove(board, player, [row, col]);
+            board[row][col] = player;
+        }
+        return count;
+    }
+
+    /**
+     * 合并导入的数据，相同局面的相同着法权重相加；数据有误时抛出异常，库保持不变
+     */
+    merge(data) {
+        if (!data || typeof data.positions !== 'object' || data.positions === null) {
+            throw new Error('开局库格式错误：缺少 positions');
+        }
+
+        const entries = Object.entries(data.positions);
+        for (const [key, moves] of entries) {
+            const size = parseInt(key, 10);
+            if (!(size >= 5) || !Array.isArray(moves)) {
+                throw new Error(`开局库格式错误：${key}`);
+            }
+            for (const move of moves) {
+                const [row, col, weight] = Array.isArray(move) ? move : [];
+                if (!(Number.isInteger(row) && Number.isInteger(col) &&
+                      row >= 0 && row < size && col >= 0 && col < size && weight > 0)) {
+                    throw new Error(`开局库格式错误：${key} 中的着法 ${JSON.stringify(move)}`);
+                }
+            }
+        }
+
+        for (const [key, moves] of entries) {
+            const size = parseInt(key, 10);
+            if (!this.positions.has(key)) {
+                this.positions.set(key, new Map());
+            }
+            const entry = this.positions.get(key);
+            for (const [row, col, weight] of moves) {
+                const index = row * size + col;
+                entry.set(index, (entry.get(index) || 0) + weight);
+            }
+        }
+    }
+
+    toJSON() {
+        const positions = {};
+        for (const [key, moves] of this.positions) {
+            const size = parseInt(key, 10);
+            positions[key] = [...moves].map(([index, weight]) => [Math.floor(index / size), index % size, weight]);
+        }
+        return { version: 1, positions };
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpeningBook };
+} else {
+    self.OpeningBook = OpeningBook;
+}
@@ -0,0 +1,191 @@
+/**
+ * 连珠（Renju）禁手规则
+ * 黑方不能走出三三、四四或长连（六子及以上）；同时成五时不算禁手。
+ * 活三的判定按正式规则递归处理：能形成活四的那一手本身不能是禁手。
+ */
+
+class RenjuRules {
+    /**
+     * @param {Number} boardSize - 棋盘大小
+     */
+    constructor(boardSize = 15) {
+        this.boardSize = boardSize;
+        this.directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+        // 禁手类型的中文名称
+        this.reasonNames = {
+            overline: '长连',
+            doubleFour: '四四',
+            doubleThree: '三三'
+        };
+    }
+
+    /**
+     * 判断黑方在 (row, col) 落子是否为禁手
+     * @param {Number} depth - 活三判定中递归检查禁手的层数
+     * @returns {String|null} - 'overline' | 'doubleFour' | 'doubleThree'，不是禁手返回 null
+     */
+    getForbiddenReason(board, row, col, depth = 2) {
+        if (board[row][col] !== 0) return null;
+        if (!this.mightBeForbidden(board, row, col)) return null;
+
+        board[row][col] = 1;
+        try {
+            const lengths = this.directions.map(([dx, dy]) => this.countLine(board, row, col, dx, dy));
+
+            // 成五优先于禁手
+            if (lengths.includes(5)) return null;
+            if (lengths.some(length => length > 5)) return 'overline';
+
+            let fours = 0;
+            let threes = 0;
+            for (const [dx, dy] of this.directions) {
+                const lineFours = this.countFoursInDirection(board, row, col, dx, dy);
+                fours += lineFours;
+                if (lineFours === 0 && this.isLiveThreeInDirection(board, row, col, dx, dy, depth)) {
+                    threes++;
+                }
+            }
+
+            if (fours >= 2) return 'doubleFour';
+            if (threes >= 2) return 'doubleThree';
+            return null;
+        } finally {
+            board[row][col] = 0;
+        }
+    }
+
+    /**
+     * 是否为禁手
+     */
+    isForbidden(board, row, col) {
+        return this.getForbiddenReason(board, row, col) !== null;
+    }
+
+    /**
+     * 找出当前局面下黑方的所有禁手点
+     * @returns {Array} - [[row, col, reason], ...]
+     */
+    getForbiddenPoints(board) {
+        const points = [];
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                const reason = this.getForbiddenReason(board, row, col);
+                if (reason) points.push([row, col, reason]);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * 快速过滤：至少两个方向各有2颗以上黑子，或某个方向有4颗以上黑子，才可能形成禁手
+     */
+    mightBeForbidden(board, row, col) {
+        let busyDirections = 0;
+        for (const [dx, dy] of this.directions) {
+            let stones = 0;
+            for (let k = -5; k <= 5; k++) {
+                if (k === 0) continue;
+                const r = row + k * dx;
+                const c = col + k * dy;
+                if (this.isInside(r, c) && board[r][c] === 1) stones++;
+            }
+            if (stones >= 4) return true;
+            if (stones >= 2) busyDirections++;
+        }
+        return busyDirections >= 2;
+    }
+
+    /**
+     * 经过 (row, col) 某个方向上连续黑子的数量
+     */
+    countLine(board, row, col, dx, dy) {
+        let count = 1;
+        for (const sign of [1, -1]) {
+            let r = row + sign * dx;
+            let c = col + sign * dy;
+            while (this.isInside(r, c) && board[r][c] === 1) {
+                count++;
+                r += sign * dx;
+                c += sign * dy;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 经过 (row, col) 的某条线上、包含该点的正好成五点（按偏移量排序）
+     */
+    getFivePoints(board, row, col, dx, dy) {
+        const offsets = [];
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0) continue;
+            const r = row + k * dx;
+            const c = col + k * dy;
+            if (!this.isInside(r, c) || board[r][c] !== 0) continue;
+
+            // 成五点与 (row, col) 之间必须全是黑子
+            let connected = true;
+            for (let j = Math.min(k, 0) + 1; j < Math.max(k, 0); j++) {
+                if (board[row + j * dx][col + j * dy] !== 1) {
+                    connected = false;
+                    break;
+                }
+            }
+            if (!connected) continue;
+
+            board[r][c] = 1;
+            const isFive = this.countLine(board, r, c, dx, dy) === 5;
+            board[r][c] = 0;
+
+            if (isFive) offsets.push(k);
+        }
+        return offsets;
+    }
+
+    /**
+     * 某个方向上形成的四的个数
+     * 活四（两个成五点相距5）算一个四，同一条线上两个独立的成五点算两个四
+     */
+    countFoursInDirection(board, row, col, dx, dy) {
+        const offsets = this.getFivePoints(board, row, col, dx, dy);
+        if (offsets.length === 2 && Math.abs(offsets[0] - offsets[1]) === 5) {
+            return 1;
+        }
+        return offsets.length;
+    }
+
+    /**
+     * 某个方向上是否形成活三：再下一子可以成为活四，且这一子不是禁手
+     */
+    isLiveThreeInDirection(board, row, col, dx, dy, depth) {
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0) continue;
+            const r = row + k * dx;
+            const c = col + k * dy;
+            if (!this.isInside(r, c) || board[r][c] !== 0) continue;
+
+            board[r][c] = 1;
+            const offsets = this.getFivePoints(board, row, col, dx, dy);
+            const straightFour = offsets.length === 2 && Math.abs(offsets[0] - offsets[1]) === 5;
+            board[r][c] = 0;
+
+            if (!straightFour) continue;
+            if (depth <= 0 || !this.getForbiddenReason(board, r, c, depth - 1)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    isInside(row, col) {
+        return row >= 0 && row < this.boardSize && col >= 0 && col < this.boardSize;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RenjuRules };
+} else {
+    self.RenjuRules = RenjuRules;
+}
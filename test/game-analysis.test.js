@@ -0,0 +1,41 @@
+/**
+ * 对局分析测试：按损失分类着法，找出送掉胜局的败着
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ANALYSIS_WIN_SCORE, GameAnalyzer } = require('../game-analysis.js');
+
+// 黑方在第 7 行连走，白方第 6 手没有挡住活三，黑方随后连成五子
+const moves = [
+    [7, 7, 1], [0, 0, 2], [7, 8, 1], [0, 2, 2], [7, 6, 1],
+    [14, 14, 2], [7, 5, 1], [0, 4, 2], [7, 4, 1]
+];
+
+test('按损失分为好棋、缓着、错着、败着', () => {
+    assert.strictEqual(GameAnalyzer.classify(0), 'good');
+    assert.strictEqual(GameAnalyzer.classify(300), 'good');
+    assert.strictEqual(GameAnalyzer.classify(301), 'inaccuracy');
+    assert.strictEqual(GameAnalyzer.classify(2000), 'mistake');
+    assert.strictEqual(GameAnalyzer.classify(ANALYSIS_WIN_SCORE), 'blunder');
+});
+
+test('没有挡住活三的一手是败着，终局的形势为黑胜', () => {
+    const report = new GameAnalyzer({ searchDepth: 2, timeLimit: 0 }, moves).run();
+
+    assert.strictEqual(report.evaluations.length, moves.length + 1);
+    assert.strictEqual(report.evaluations[moves.length], ANALYSIS_WIN_SCORE);
+    assert.strictEqual(report.moves[5].ply, 6);
+    assert.strictEqual(report.moves[5].quality, 'blunder');
+    assert.strictEqual(report.summary[2].blunder, 1);
+    assert.strictEqual(report.summary[1].blunder, 0);
+});
+
+test('每分析完一个局面报告一次进度', () => {
+    const analyzer = new GameAnalyzer({ searchDepth: 1, timeLimit: 0 }, moves.slice(0, 3));
+    const progress = [];
+    analyzer.onProgress = ({ position, positions, report }) => progress.push([position, positions, report.moves.length]);
+    analyzer.run();
+    assert.deepStrictEqual(progress, [[1, 4, 0], [2, 4, 1], [3, 4, 2], [4, 4, 3]]);
+});
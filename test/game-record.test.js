@@ -0,0 +1,146 @@
+/**
+ * 棋谱测试：psq / 坐标记谱 / SGF 的读写往返，以及读取时按规则验证着法
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameRecord } = require('../game-record.js');
+const { GameTree } = require('../game-tree.js');
+
+// 黑方在第 7 行连成五子
+const blackWins = [
+    [7, 3, 1], [8, 3, 2], [7, 4, 1], [8, 4, 2], [7, 5, 1],
+    [8, 5, 2], [7, 6, 1], [8, 6, 2], [7, 7, 1]
+];
+
+function record(moves, metadata = {}, boardSize = 15) {
+    return new GameRecord({ boardSize, moves, metadata: { ruleSet: 'freestyle', ...metadata } });
+}
+
+test('坐标写法：15 路棋盘的天元为 h8', () => {
+    assert.strictEqual(GameRecord.toCoordinate(7, 7, 15), 'h8');
+    assert.strictEqual(GameRecord.toCoordinate(0, 0, 15), 'a15');
+    assert.deepStrictEqual(GameRecord.fromCoordinate('H8', 15), [7, 7]);
+    assert.deepStrictEqual(GameRecord.fromCoordinate('a15', 15), [0, 0]);
+    assert.strictEqual(GameRecord.fromCoordinate('8h', 15), null);
+});
+
+test('三种格式都能原样读回着法', () => {
+    const original = record(blackWins, { result: 1 });
+    for (const format of ['psq', 'notation', 'sgf']) {
+        const text = original.format(format);
+        const parsed = GameRecord.parse(text, { boardSize: 15, ruleSet: 'freestyle' });
+        assert.deepStrictEqual(parsed.moves, blackWins, format);
+        assert.strictEqual(parsed.boardSize, 15, format);
+        assert.strictEqual(parsed.replay().winner, 1, format);
+    }
+    assert.throws(() => original.format('rif'), /不支持/);
+});
+
+test('psq 首行给出棋盘大小，着法之后的信息被忽略', () => {
+    const parsed = GameRecord.parse('Piskvorky 9x9, 11:11, 0\n5,5,0\n6,4,0\n-1\npbrain-test.exe\n');
+    assert.strictEqual(parsed.boardSize, 9);
+    assert.deepStrictEqual(parsed.moves, [[4, 4, 1], [3, 5, 2]]);
+    assert.throws(() => GameRecord.parse('Piskvorky 15x20, 11:11, 0\n'), /正方形/);
+});
+
+test('坐标记谱可以带手数和逗号', () => {
+    const parsed = GameRecord.parse('1. h8, i9\n2. h9', { boardSize: 15 });
+    assert.deepStrictEqual(parsed.moves, [[7, 7, 1], [6, 8, 2], [6, 7, 1]]);
+    assert.throws(() => GameRecord.parse('h8 zz', { boardSize: 15 }), /第 2 手 "zz"/);
+});
+
+test('SGF 保存对局信息和引擎设置，特殊字符转义', () => {
+    const settings = { searchDepth: 4, note: 'a]b\\c' };
+    const original = record(blackWins.slice(0, 3), {
+        black: 'AI [v2]', white: '玩家', ruleSet: 'renju', result: 2, date: '2026-10-19', settings
+    });
+    const parsed = GameRecord.parse(original.toSGF());
+
+    assert.deepStrictEqual(parsed.metadata, {
+        black: 'AI [v2]', white: '玩家', ruleSet: 'renju', result: 2, date: '2026-10-19', settings
+    });
+    assert.deepStrictEqual(parsed.moves, blackWins.slice(0, 3));
+});
+
+test('SGF 的第一个变化为主线，结果可以带原因，不认识的规则按当前规则处理', () => {
+    const parsed = GameRecord.parse('(;GM[4]SZ[15]RU[Japanese]RE[W+R];B[hh];W[ii](;B[hi])(;B[jj]))', { ruleSet: 'standard' });
+    assert.deepStrictEqual(parsed.moves, [[7, 7, 1], [8, 8, 2], [8, 7, 1]]);
+    assert.strictEqual(parsed.tree.size, 4);
+    assert.strictEqual(parsed.metadata.result, 2);
+    assert.strictEqual(parsed.metadata.ruleSet, 'standard');
+
+    assert.throws(() => GameRecord.parse('(;GM[1]SZ[19];B[aa])'), /不是五子棋/);
+    assert.throws(() => GameRecord.parse('(;GM[4];B[hh'), /缺少 "]"/);
+    assert.throws(() => GameRecord.parse('(;GM[4]ES[{x];B[hh])'), /ES/);
+});
+
+test('SGF 保存整棵对局树，包括评论和着法符号', () => {
+    const tree = GameTree.fromMoves(blackWins.slice(0, 4));
+    tree.root.comment = '练习局';
+    tree.annotate(tree.current, '!');
+    tree.goTo(tree.getMainLine()[1]);
+    tree.play([0, 0, 1]);
+    tree.annotate(tree.current, '??');
+    tree.current.comment = '脱先 [坏棋]';
+    tree.play([0, 1, 2]);
+
+    const text = new GameRecord({ boardSize: 15, moves: blackWins.slice(0, 4), tree }).toSGF();
+    assert.match(text, /;B\[aa\]BM\[2\]C\[脱先 \[坏棋\\\]\]/);
+
+    const parsed = GameRecord.parse(text);
+    const mainLine = parsed.tree.getMainLine();
+    assert.deepStrictEqual(parsed.moves, blackWins.slice(0, 4));
+    assert.strictEqual(parsed.tree.root.comment, '练习局');
+    assert.strictEqual(mainLine[3].annotation, '!');
+
+    const variation = mainLine[1].children[1];
+    assert.deepStrictEqual(variation.move, [0, 0, 1]);
+    assert.strictEqual(variation.annotation, '??');
+    assert.strictEqual(variation.comment, '脱先 [坏棋]');
+    assert.deepStrictEqual(variation.children[0].move, [0, 1, 2]);
+    assert.strictEqual(parsed.tree.current, mainLine[3]);
+    assert.strictEqual(parsed.replay().winner, -1);
+});
+
+test('SGF 中的每个变化都要验证', () => {
+    assert.throws(() => GameRecord.parse('(;GM[4]SZ[15];B[hh](;W[ii])(;W[hh]))').replay(), /变化中的第 2 手：h8 已有棋子/);
+    assert.throws(() => GameRecord.parse('(;GM[4]SZ[15];B[hh](;W[ii])(;B[jj]))').replay(), /变化中的第 2 手：应由白方落子/);
+    assert.throws(() => GameRecord.parse('(;GM[4]SZ[15];B[hh];W[ii]B[jj])'), /同时有 B 和 W/);
+    assert.throws(() => GameRecord.parse('(;GM[4]SZ[15];B[hh]'), /缺少 "\)"/);
+});
+
+test('读取时逐手验证着法', () => {
+    const cases = [
+        [[[7, 7, 1], [7, 7, 2]], /第 2 手：h8 已有棋子/],
+        [[[7, 7, 1], [15, 0, 2]], /第 2 手：.*超出 15 路棋盘/],
+        [[[7, 7, 1], [6, 6, 1]], /第 2 手：应由白方落子/],
+        [[...blackWins, [0, 0, 2]], /第 10 手：对局在第 9 手已经结束/]
+    ];
+    for (const [moves, error] of cases) {
+        assert.throws(() => record(moves).replay(), error);
+    }
+    assert.throws(() => record([], {}, 21).replay(), /棋盘大小/);
+    assert.throws(() => record(blackWins, { result: 2 }).replay(), /结果与着法不符/);
+});
+
+test('连珠规则下黑方禁手不能出现在棋谱中', () => {
+    // 黑方在 h8 形成双活三（三三禁手）
+    const moves = [
+        [7, 5, 1], [0, 0, 2], [7, 6, 1], [0, 2, 2],
+        [5, 7, 1], [0, 4, 2], [6, 7, 1], [0, 6, 2],
+        [7, 7, 1]
+    ];
+    assert.throws(() => record(moves, { ruleSet: 'renju' }).replay(), /第 9 手：h8 是黑方禁手/);
+    assert.strictEqual(record(moves).replay().winner, -1);
+});
+
+test('重建的局面与着法一致，轮到下一方', () => {
+    const position = record(blackWins.slice(0, 4)).replay();
+    assert.strictEqual(position.winner, -1);
+    assert.strictEqual(position.currentPlayer, 1);
+    assert.strictEqual(position.board[7][3], 1);
+    assert.strictEqual(position.board[8][4], 2);
+    assert.strictEqual(position.board.flat().filter(cell => cell !== 0).length, 4);
+});
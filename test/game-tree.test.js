@@ -0,0 +1,79 @@
+/**
+ * 对局树测试：新增变化、后退前进沿原变化、跳转、提升主线和着法符号
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameTree } = require('../game-tree.js');
+
+const moves = [[7, 7, 1], [6, 8, 2], [6, 7, 1], [5, 7, 2]];
+
+test('走出相同的着法沿原节点前进，不同的着法新增变化', () => {
+    const tree = GameTree.fromMoves(moves);
+    assert.strictEqual(tree.ply, 4);
+    assert.deepStrictEqual(tree.getMoves(), moves);
+
+    tree.back();
+    tree.back();
+    tree.play([6, 7, 1]);
+    assert.strictEqual(tree.size, 4);
+
+    tree.back();
+    const variation = tree.play([8, 8, 1]);
+    assert.strictEqual(tree.size, 5);
+    assert.strictEqual(variation.parent.children.length, 2);
+    assert.strictEqual(tree.isMainLine(), false);
+    assert.deepStrictEqual(tree.getMainLine().map(({ move }) => move), moves);
+});
+
+test('后退再前进时回到原来的变化', () => {
+    const tree = GameTree.fromMoves(moves);
+    tree.back();
+    tree.back();
+    tree.play([8, 8, 1]);
+    tree.play([9, 9, 2]);
+
+    tree.back();
+    tree.back();
+    assert.deepStrictEqual(tree.getContinuation().map(({ move }) => move), [[8, 8, 1], [9, 9, 2]]);
+    tree.forward();
+    assert.deepStrictEqual(tree.current.move, [8, 8, 1]);
+
+    // 跳到主线上的节点后，整条变化也随之切换
+    tree.goTo(tree.getMainLine()[3]);
+    assert.deepStrictEqual(tree.getLine().map(({ move }) => move), moves);
+    assert.strictEqual(tree.back().move[0], 5);
+    assert.strictEqual(tree.forward().move[0], 5);
+});
+
+test('从中途另走时不再沿原来的后续着法前进', () => {
+    const tree = GameTree.fromMoves(moves);
+    tree.goTo(tree.getMainLine()[1]);
+    tree.cutContinuation();
+
+    assert.deepStrictEqual(tree.getContinuation(), []);
+    assert.strictEqual(tree.forward(), null);
+    assert.strictEqual(tree.size, 4);
+});
+
+test('提升变化为主线', () => {
+    const tree = GameTree.fromMoves(moves);
+    tree.goTo(tree.getMainLine()[0]);
+    tree.play([8, 8, 2]);
+    const node = tree.play([9, 9, 1]);
+
+    tree.promote(node);
+    assert.ok(tree.isMainLine(node));
+    assert.deepStrictEqual(tree.getMainLine().map(({ move }) => move), [[7, 7, 1], [8, 8, 2], [9, 9, 1]]);
+    assert.deepStrictEqual(tree.root.children[0].children[1].move, [6, 8, 2]);
+});
+
+test('着法符号只能是 ! ? !! ??', () => {
+    const tree = GameTree.fromMoves(moves);
+    tree.annotate(tree.current, '!!');
+    assert.strictEqual(tree.current.annotation, '!!');
+    tree.annotate(tree.current, '');
+    assert.strictEqual(tree.current.annotation, '');
+    assert.throws(() => tree.annotate(tree.current, '?!?'), /不支持/);
+});
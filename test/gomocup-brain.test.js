@@ -0,0 +1,107 @@
+/**
+ * Gomocup 协议测试：逐行驱动 handleLine，检查回复和时间设置的换算
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GomocupBrain } = require('../gomocup-brain.js');
+
+/**
+ * 建立一个 brain，回复收集在 replies 中；每步时间很短，测试很快结束
+ */
+function createBrain() {
+    const replies = [];
+    let exited = false;
+    const brain = new GomocupBrain(line => replies.push(line), () => { exited = true; });
+    return { brain, replies, exited: () => exited };
+}
+
+function send(brain, ...lines) {
+    lines.forEach(line => brain.handleLine(line));
+}
+
+function parseReply(reply) {
+    const match = /^(\d+),(\d+)$/.exec(reply);
+    assert.ok(match, `不是坐标: ${reply}`);
+    return [parseInt(match[1], 10), parseInt(match[2], 10)];
+}
+
+test('START 检查棋盘大小，未 START 时拒绝落子命令', () => {
+    const { brain, replies } = createBrain();
+    send(brain, 'BEGIN', 'START 30', 'START 15', 'ABOUT', 'FOO');
+
+    assert.match(replies[0], /^ERROR/);
+    assert.match(replies[1], /^ERROR/);
+    assert.strictEqual(replies[2], 'OK');
+    assert.match(replies[3], /^name="/);
+    assert.match(replies[4], /^UNKNOWN/);
+});
+
+test('BEGIN 和 TURN 回复空点上的坐标，TAKEBACK 撤销一手', () => {
+    const { brain, replies } = createBrain();
+    send(brain, 'INFO timeout_turn 300', 'START 15', 'BEGIN');
+    const [x1, y1] = parseReply(replies[1]);
+    assert.strictEqual(brain.myColor, 1);
+    assert.strictEqual(brain.board[y1][x1], 1);
+
+    const opponent = x1 === 0 ? [1, 0] : [0, 0];
+    send(brain, `TURN ${opponent.join(',')}`);
+    const [x2, y2] = parseReply(replies[2]);
+    assert.strictEqual(brain.board[opponent[1]][opponent[0]], 2);
+    assert.strictEqual(brain.board[y2][x2], 1);
+    assert.notDeepStrictEqual([x2, y2], opponent);
+
+    send(brain, `TAKEBACK ${x2},${y2}`, `TURN ${opponent.join(',')}`);
+    assert.strictEqual(replies[3], 'OK');
+    assert.strictEqual(brain.board[y2][x2], 0);
+    assert.match(replies[4], /^ERROR/);
+});
+
+test('BOARD ... DONE 重建局面，本方走成五', () => {
+    const { brain, replies } = createBrain();
+    send(
+        brain,
+        'INFO timeout_turn 300',
+        'START 15',
+        'BOARD',
+        '3,7,1', '3,9,2', '4,7,1', '4,9,2', '5,7,1', '5,9,2', '6,7,1', '10,12,2',
+        'DONE'
+    );
+
+    // 双方子数相同，本方执黑
+    assert.strictEqual(brain.myColor, 1);
+    assert.ok(['2,7', '7,7'].includes(replies[1]), replies[1]);
+});
+
+test('INFO 映射为每步时间和规则', () => {
+    const { brain } = createBrain();
+    // 未收到 INFO 时每步 5 秒，留出余量
+    assert.strictEqual(brain.getTurnTime(), 3470);
+
+    send(brain, 'INFO timeout_turn 2000', 'INFO rule 4');
+    assert.strictEqual(brain.getTurnTime(), 1370);
+    assert.strictEqual(brain.getRuleSet(), 'renju');
+    assert.strictEqual(brain.getSearchSettings().useVCT, true);
+
+    // 没有整局时限时 timeout_turn 0 表示尽快落子
+    send(brain, 'INFO timeout_turn 0');
+    assert.strictEqual(brain.getTurnTime(), 50);
+    assert.strictEqual(brain.getSearchSettings().useVCT, false);
+});
+
+test('有整局时限时 timeout_turn 0 按剩余时间分配', () => {
+    const { brain } = createBrain();
+    send(brain, 'INFO timeout_turn 0', 'INFO timeout_match 180000', 'INFO time_left 100000');
+    assert.strictEqual(brain.getTurnTime(), 3470);
+
+    send(brain, 'INFO time_left 20000');
+    assert.strictEqual(brain.getTurnTime(), 670);
+});
+
+test('END 结束，不再回复', () => {
+    const { brain, replies, exited } = createBrain();
+    send(brain, 'START 15', 'END');
+    assert.ok(exited());
+    assert.deepStrictEqual(replies, ['OK']);
+});
@@ -0,0 +1,91 @@
+/**
+ * 增量评估器与全盘扫描评估的对比测试
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GomokuAI } = require('../gomoku-ai.js');
+const { IncrementalEvaluator } = require('../incremental-evaluator.js');
+
+const settings = {
+    searchDepth: 3,
+    candidateCount: 10,
+    searchRange: 2,
+    patternWeights: {
+        liveFive: 100000,
+        liveFour: 100000,
+        deadFour: 500,
+        liveThree: 1000,
+        deadThree: 100,
+        liveTwo: 100,
+        deadTwo: 10,
+        opponentThreat: 1.2
+    }
+};
+
+function emptyBoard(size = 15) {
+    return Array(size).fill().map(() => Array(size).fill(0));
+}
+
+// 固定种子的伪随机数，保证测试可复现
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+test('随机落子/撤子过程中增量评估与全盘评估得分一致', () => {
+    const ai = new GomokuAI(settings);
+    const evaluator = new IncrementalEvaluator(ai);
+    const board = emptyBoard();
+    const random = createRandom(42);
+    evaluator.reset(board);
+
+    for (let i = 0; i < 2000; i++) {
+        const row = Math.floor(random() * 15);
+        const col = Math.floor(random() * 15);
+        board[row][col] = board[row][col] !== 0 ? 0 : 1 + Math.floor(random() * 2);
+        evaluator.update(row, col);
+
+        for (const player of [1, 2]) {
+            assert.strictEqual(evaluator.evaluate(player), ai.evaluateBoard(board, player));
+        }
+    }
+});
+
+test('棋盘边角的对角线与全盘评估一致', () => {
+    const ai = new GomokuAI(settings);
+    const evaluator = new IncrementalEvaluator(ai);
+    const board = emptyBoard();
+    evaluator.reset(board);
+
+    const corners = [[0, 0], [0, 14], [14, 0], [14, 14], [0, 4], [4, 0], [10, 14], [14, 10]];
+    corners.forEach(([row, col], i) => {
+        board[row][col] = 1 + (i % 2);
+        evaluator.update(row, col);
+        assert.strictEqual(evaluator.evaluate(1), ai.evaluateBoard(board, 1));
+    });
+});
+
+test('开启增量评估不改变搜索结果', () => {
+    const moves = [[7, 7], [7, 8], [8, 8], [6, 6], [8, 7], [9, 7], [6, 8]];
+    const results = [true, false].map(incrementalEval => {
+        const board = emptyBoard();
+        moves.forEach(([row, col], i) => { board[row][col] = i % 2 === 0 ? 1 : 2; });
+
+        const ai = new GomokuAI({
+            ...settings,
+            timeLimit: 0,
+            useVCF: false,
+            useVCT: false,
+            incrementalEval
+        });
+        return ai.findBestMove(board, 2);
+    });
+
+    assert.deepStrictEqual(results[0].move, results[1].move);
+    assert.strictEqual(results[0].score, results[1].score);
+    assert.strictEqual(results[0].searchNodes, results[1].searchNodes);
+});
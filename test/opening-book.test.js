@@ -0,0 +1,147 @@
+/**
+ * 开局库测试：对称归一化、权重选择、学习对局、JSON 导入导出，以及 findBestMove 查库
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpeningBook } = require('../opening-book.js');
+const { GomokuAI } = require('../gomoku-ai.js');
+
+function emptyBoard(size = 15) {
+    return Array(size).fill().map(() => Array(size).fill(0));
+}
+
+// 8种对称变换，与库中的定义独立实现，用来构造对称局面
+const symmetries = [
+    (r, c, n) => [r, c],
+    (r, c, n) => [c, n - r],
+    (r, c, n) => [n - r, n - c],
+    (r, c, n) => [n - c, r],
+    (r, c, n) => [r, n - c],
+    (r, c, n) => [n - r, c],
+    (r, c, n) => [c, r],
+    (r, c, n) => [n - c, n - r]
+];
+
+test('8种对称局面共用同一条记录，着法换算回各自的坐标', () => {
+    const book = new OpeningBook();
+    const stones = [[7, 7, 1], [6, 8, 2], [5, 6, 1]];
+    const reply = [8, 9];
+
+    const board = emptyBoard();
+    stones.forEach(([r, c, p]) => { board[r][c] = p; });
+    book.addMove(board, 2, reply);
+
+    for (const symmetry of symmetries) {
+        const transformed = emptyBoard();
+        stones.forEach(([r, c, p]) => {
+            const [tr, tc] = symmetry(r, c, 14);
+            transformed[tr][tc] = p;
+        });
+
+        assert.strictEqual(book.normalize(transformed, 2).key, book.normalize(board, 2).key);
+        assert.deepStrictEqual(book.lookup(transformed, 2), [{ move: symmetry(...reply, 14), weight: 1 }]);
+    }
+    assert.strictEqual(book.size, 1);
+});
+
+test('行棋方和棋盘大小不同的局面分开记录', () => {
+    const book = new OpeningBook();
+    const board = emptyBoard();
+    board[7][7] = 1;
+    book.addMove(board, 2, [6, 7]);
+
+    assert.strictEqual(book.lookup(board, 1).length, 0);
+    const small = emptyBoard(9);
+    small[4][4] = 1;
+    assert.strictEqual(book.lookup(small, 2).length, 0);
+});
+
+test('对称局面中互相对称的着法合并权重', () => {
+    const book = new OpeningBook();
+    const board = emptyBoard();
+    board[7][7] = 1;
+    for (const move of [[6, 7], [7, 8], [8, 7], [7, 6]]) {
+        book.addMove(board, 2, move);
+    }
+
+    const moves = book.lookup(board, 2);
+    assert.strictEqual(moves.length, 1);
+    assert.strictEqual(moves[0].weight, 4);
+});
+
+test('按权重随机选择，跳过已落子和不合法的点', () => {
+    const book = new OpeningBook();
+    const board = emptyBoard();
+    board[7][7] = 1;
+    board[6][7] = 2;
+    book.addMove(board, 1, [6, 8], 3);
+    book.addMove(board, 1, [5, 7], 1);
+
+    assert.deepStrictEqual(book.chooseMove(board, 1, undefined, () => 0).move, [6, 8]);
+    assert.deepStrictEqual(book.chooseMove(board, 1, undefined, () => 0.99).move, [5, 7]);
+    assert.strictEqual(book.chooseMove(board, 1, undefined, () => 0).total, 4);
+
+    const notAllowed = book.chooseMove(board, 1, (row, col) => !(row === 6 && col === 8), () => 0);
+    assert.deepStrictEqual(notAllowed.move, [5, 7]);
+    assert.strictEqual(book.chooseMove(board, 1, () => false), null);
+});
+
+test('学习对局只记录前 maxMoves 手，重复学习累加权重', () => {
+    const book = new OpeningBook();
+    const moves = [[7, 7, 1], [6, 8, 2], [6, 7, 1], [5, 7, 2], [8, 7, 1]];
+
+    assert.strictEqual(book.learnGame(moves, 15, 3), 3);
+    assert.strictEqual(book.size, 3);
+    book.learnGame(moves, 15, 3);
+
+    const board = emptyBoard();
+    board[7][7] = 1;
+    board[6][8] = 2;
+    const [{ move, weight }] = book.lookup(board, 1);
+    assert.strictEqual(weight, 2);
+    // 局面沿对角线对称，(6, 7) 和 (7, 8) 是同一个着法
+    assert.ok(String(move) === '6,7' || String(move) === '7,8', `得到 ${move}`);
+});
+
+test('导出的 JSON 可以原样导入，格式错误时抛出异常且不修改开局库', () => {
+    const book = OpeningBook.createDefault();
+    const data = JSON.parse(JSON.stringify(book.toJSON()));
+    const imported = new OpeningBook(data);
+    assert.deepStrictEqual(imported.toJSON(), book.toJSON());
+
+    const size = imported.size;
+    assert.throws(() => imported.merge({}), /格式错误/);
+    assert.throws(() => imported.merge({ positions: { '15:1:': [[7, 7, 1]], '15:2:112b': [[15, 0, 1]] } }), /格式错误/);
+    assert.strictEqual(imported.size, size);
+    assert.deepStrictEqual(imported.toJSON(), book.toJSON());
+});
+
+test('findBestMove 先查开局库，不在库中的局面照常搜索', () => {
+    const ai = new GomokuAI({ searchDepth: 2, timeLimit: 0 });
+    const board = emptyBoard();
+
+    const first = ai.findBestMove(board, 1);
+    assert.deepStrictEqual(first.move, [7, 7]);
+    assert.ok(first.book);
+    assert.strictEqual(first.searchNodes, 0);
+
+    board[7][7] = 1;
+    const reply = ai.findBestMove(board, 2);
+    assert.ok(reply.book);
+    assert.ok(Math.abs(reply.move[0] - 7) === 1 || Math.abs(reply.move[1] - 7) === 1);
+
+    const off = new GomokuAI({ searchDepth: 2, timeLimit: 0, useOpeningBook: false }).findBestMove(board, 2);
+    assert.strictEqual(off.book, undefined);
+    assert.ok(off.searchNodes > 0);
+});
+
+test('自定义开局库替换内置开局库', () => {
+    const book = new OpeningBook();
+    book.addMove(emptyBoard(), 1, [3, 3]);
+    const ai = new GomokuAI({ openingBook: book.toJSON() });
+
+    const move = ai.findBestMove(emptyBoard(), 1).move;
+    assert.ok(symmetries.some(symmetry => String(symmetry(3, 3, 14)) === String(move)));
+});
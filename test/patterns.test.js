@@ -0,0 +1,119 @@
+/**
+ * 棋型识别测试：棋型正则、单行计分和按方向识别棋型
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GomokuAI, DEFAULT_PATTERN_WEIGHTS } = require('../gomoku-ai.js');
+
+const weights = DEFAULT_PATTERN_WEIGHTS;
+
+function emptyBoard(size = 15) {
+    return Array(size).fill().map(() => Array(size).fill(0));
+}
+
+// 从 (row, col) 起沿 (dx, dy) 连续放置 count 枚棋子
+function placeLine(board, row, col, dx, dy, count, player) {
+    for (let i = 0; i < count; i++) {
+        board[row + i * dx][col + i * dy] = player;
+    }
+}
+
+// 在 patterns 中找出与字符串匹配的第一个棋型
+function firstMatchingType(ai, lineStr, player = 1) {
+    const pattern = ai.playerPatterns[player].find(({ regex }) => regex.test(lineStr));
+    return pattern ? pattern.type : null;
+}
+
+test('棋型正则按优先级识别各种棋型', () => {
+    const ai = new GomokuAI();
+    const cases = [
+        ['2011111002', 'liveFive'],
+        ['2001111002', 'liveFour'],
+        ['2211110002', 'deadFour'],
+        ['2001011102', 'deadFour'],
+        ['2011011002', 'deadFour'],
+        ['2001110002', 'liveThree'],
+        ['2010110002', 'liveThree'],
+        ['2011010002', 'liveThree'],
+        ['2211100002', 'deadThree'],
+        ['2010101002', 'deadThree'],
+        ['2001100002', 'liveTwo'],
+        ['2010010002', 'liveTwo'],
+        ['2000100002', null],
+        ['2000000002', null]
+    ];
+
+    for (const [lineStr, type] of cases) {
+        assert.strictEqual(firstMatchingType(ai, lineStr), type, lineStr);
+    }
+});
+
+test('单行计分：高级棋型匹配后不再被低级棋型重复计分', () => {
+    const ai = new GomokuAI();
+
+    assert.strictEqual(ai.calculateLineScore('2001111002'), weights.liveFour);
+    assert.strictEqual(ai.calculateLineScore('2001110002'), weights.liveThree);
+    assert.strictEqual(ai.calculateLineScore('2211110002'), weights.deadFour);
+    assert.strictEqual(ai.calculateLineScore('2000000002'), 0);
+    // 同一行里的两个活二分别计分
+    assert.strictEqual(ai.calculateLineScore('20011000011002'), weights.liveTwo * 2);
+});
+
+test('单行计分使用自定义权重', () => {
+    const ai = new GomokuAI({ patternWeights: { liveThree: 1234 } });
+
+    assert.strictEqual(ai.calculateLineScore('2001110002'), 1234);
+    assert.strictEqual(ai.settings.patternWeights.liveFour, weights.liveFour);
+});
+
+test('各规则的连五正则', () => {
+    const freestyle = new GomokuAI({ ruleSet: 'freestyle' });
+    const standard = new GomokuAI({ ruleSet: 'standard' });
+    const caro = new GomokuAI({ ruleSet: 'caro' });
+    const renju = new GomokuAI({ ruleSet: 'renju' });
+
+    // 长连
+    assert.strictEqual(firstMatchingType(freestyle, '20111111002'), 'liveFive');
+    assert.notStrictEqual(firstMatchingType(standard, '20111111002'), 'liveFive');
+    assert.strictEqual(firstMatchingType(standard, '20111110002'), 'liveFive');
+
+    // Caro：两端都被堵的五不算
+    assert.notStrictEqual(firstMatchingType(caro, '2111112'), 'liveFive');
+    assert.strictEqual(firstMatchingType(caro, '21111102'), 'liveFive');
+
+    // 连珠：黑方长连不算，白方长连算
+    assert.notStrictEqual(firstMatchingType(renju, '20111111002', 1), 'liveFive');
+    assert.strictEqual(firstMatchingType(renju, '20111111002', 2), 'liveFive');
+});
+
+test('按方向识别棋型：活/死由两端是否被对方堵住决定', () => {
+    const ai = new GomokuAI();
+    const board = emptyBoard();
+
+    placeLine(board, 7, 5, 0, 1, 4, 1);
+    assert.strictEqual(ai.detectPatternInDirection(board, 7, 5, 0, 1, 1), 'liveFour');
+
+    board[7][9] = 2;
+    assert.strictEqual(ai.detectPatternInDirection(board, 7, 5, 0, 1, 1), 'deadFour');
+
+    placeLine(board, 2, 2, 1, 1, 3, 1);
+    assert.strictEqual(ai.detectPatternInDirection(board, 3, 3, 1, 1, 1), 'liveThree');
+    assert.strictEqual(ai.detectPatternInDirection(board, 3, 3, 1, -1, 1), null);
+
+    placeLine(board, 10, 10, 1, -1, 2, 2);
+    board[9][11] = 1;
+    assert.strictEqual(ai.detectPatternInDirection(board, 10, 10, 1, -1, 2), 'deadTwo');
+
+    placeLine(board, 0, 14, 1, 0, 5, 2);
+    assert.strictEqual(ai.detectPatternInDirection(board, 2, 14, 1, 0, 2), 'liveFive');
+});
+
+test('按方向识别棋型：长连按规则判定', () => {
+    const board = emptyBoard();
+    placeLine(board, 7, 2, 0, 1, 6, 1);
+
+    assert.strictEqual(new GomokuAI().detectPatternInDirection(board, 7, 4, 0, 1, 1), 'liveFive');
+    assert.strictEqual(new GomokuAI({ ruleSet: 'standard' }).detectPatternInDirection(board, 7, 4, 0, 1, 1), null);
+});
@@ -0,0 +1,160 @@
+/**
+ * 胜负判定测试：四个方向、棋盘边缘和角落，以及各规则的区别
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GomokuAI } = require('../gomoku-ai.js');
+const { GomokuRules } = require('../gomoku-rules.js');
+
+const SIZE = 15;
+const DIRECTIONS = [
+    ['水平', 0, 1],
+    ['垂直', 1, 0],
+    ['主对角线', 1, 1],
+    ['副对角线', 1, -1]
+];
+
+function emptyBoard(size = SIZE) {
+    return Array(size).fill().map(() => Array(size).fill(0));
+}
+
+function placeLine(board, row, col, dx, dy, count, player) {
+    for (let i = 0; i < count; i++) {
+        board[row + i * dx][col + i * dy] = player;
+    }
+}
+
+// 某方向上所有能放下 length 枚连续棋子的起点
+function* lineStarts(dx, dy, length) {
+    for (let row = 0; row < SIZE; row++) {
+        for (let col = 0; col < SIZE; col++) {
+            const endRow = row + (length - 1) * dx;
+            const endCol = col + (length - 1) * dy;
+            if (endRow >= 0 && endRow < SIZE && endCol >= 0 && endCol < SIZE) {
+                yield [row, col];
+            }
+        }
+    }
+}
+
+test('五连在四个方向的任意位置（含边缘和角落）都判胜', () => {
+    const ai = new GomokuAI();
+
+    for (const [name, dx, dy] of DIRECTIONS) {
+        for (const [row, col] of lineStarts(dx, dy, 5)) {
+            for (const player of [1, 2]) {
+                const board = emptyBoard();
+                placeLine(board, row, col, dx, dy, 5, player);
+
+                const message = `${name} (${row}, ${col}) 玩家 ${player}`;
+                assert.strictEqual(ai.checkWinner(board), player, message);
+                // 最后一子落在五连的任一位置都能判胜
+                for (let i = 0; i < 5; i++) {
+                    assert.ok(ai.rules.isWinningMove(board, row + i * dx, col + i * dy, player), message);
+                }
+            }
+        }
+    }
+});
+
+test('四连和被隔断的五子不判胜', () => {
+    const ai = new GomokuAI();
+
+    for (const [name, dx, dy] of DIRECTIONS) {
+        for (const [row, col] of lineStarts(dx, dy, 6)) {
+            const board = emptyBoard();
+            placeLine(board, row, col, dx, dy, 4, 1);
+            assert.strictEqual(ai.checkWinner(board), -1, `${name} 四连 (${row}, ${col})`);
+
+            // 1111 2 1：中间被对方隔断
+            board[row + 4 * dx][col + 4 * dy] = 2;
+            board[row + 5 * dx][col + 5 * dy] = 1;
+            assert.strictEqual(ai.checkWinner(board), -1, `${name} 隔断 (${row}, ${col})`);
+        }
+    }
+});
+
+test('不会把棋盘另一侧的棋子连成一线', () => {
+    const ai = new GomokuAI();
+    const board = emptyBoard();
+
+    // 行尾三子 + 下一行行首两子，按行优先展开时相邻
+    placeLine(board, 3, SIZE - 3, 0, 1, 3, 1);
+    placeLine(board, 4, 0, 0, 1, 2, 1);
+    assert.strictEqual(ai.checkWinner(board), -1);
+
+    // 副对角线跨越左右边缘
+    const wrap = emptyBoard();
+    placeLine(wrap, 5, 2, 1, -1, 3, 2);
+    wrap[8][SIZE - 1] = 2;
+    wrap[9][SIZE - 2] = 2;
+    assert.strictEqual(ai.checkWinner(wrap), -1);
+});
+
+test('棋盘下满且无人获胜时判和', () => {
+    const ai = new GomokuAI();
+    const board = emptyBoard();
+
+    // 每两列换一种颜色、每行反转，任何方向最多两子相连
+    for (let row = 0; row < SIZE; row++) {
+        for (let col = 0; col < SIZE; col++) {
+            board[row][col] = (Math.floor(col / 2) + row) % 2 === 0 ? 1 : 2;
+        }
+    }
+    assert.strictEqual(ai.checkWinner(board), 0);
+
+    board[0][0] = 0;
+    assert.strictEqual(ai.checkWinner(board), -1);
+});
+
+test('长连：自由规则判胜，标准规则不判胜', () => {
+    const board = emptyBoard();
+    placeLine(board, 7, 4, 0, 1, 6, 1);
+
+    assert.strictEqual(new GomokuRules('freestyle').hasFive(board, 1), true);
+    assert.strictEqual(new GomokuRules('standard').hasFive(board, 1), false);
+    assert.strictEqual(new GomokuRules('standard').isWinningMove(board, 7, 6, 1), false);
+});
+
+test('Caro：两端都被堵住（含棋盘边缘）的五连不判胜', () => {
+    const rules = new GomokuRules('caro');
+
+    const blocked = emptyBoard();
+    placeLine(blocked, 7, 4, 0, 1, 5, 1);
+    blocked[7][3] = 2;
+    blocked[7][9] = 2;
+    assert.strictEqual(rules.hasFive(blocked, 1), false);
+
+    blocked[7][9] = 0;
+    assert.strictEqual(rules.hasFive(blocked, 1), true);
+
+    const edge = emptyBoard();
+    placeLine(edge, 0, 0, 1, 1, 5, 1);
+    edge[5][5] = 2;
+    assert.strictEqual(rules.hasFive(edge, 1), false);
+});
+
+test('连珠：黑方长连不判胜，白方长连判胜', () => {
+    const rules = new GomokuRules('renju');
+
+    for (const player of [1, 2]) {
+        const board = emptyBoard();
+        placeLine(board, 2, 2, 1, 1, 6, player);
+        assert.strictEqual(rules.hasFive(board, player), player === 2);
+    }
+});
+
+test('非 15 路棋盘的边缘判定', () => {
+    for (const size of [9, 19]) {
+        const ai = new GomokuAI({ boardSize: size });
+        const board = emptyBoard(size);
+        placeLine(board, size - 1, size - 5, 0, 1, 5, 2);
+        assert.strictEqual(ai.checkWinner(board), 2, `${size} 路`);
+
+        const diagonal = emptyBoard(size);
+        placeLine(diagonal, size - 5, size - 1, 1, -1, 5, 1);
+        assert.strictEqual(ai.checkWinner(diagonal), 1, `${size} 路`);
+    }
+});
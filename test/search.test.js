@@ -0,0 +1,404 @@
+/**
+ * 候选点生成和搜索测试：必胜点、必防点和VCF
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GomokuAI } = require('../gomoku-ai.js');
+const { MCTSAI } = require('../mcts-ai.js');
+
+// 不限时，只受深度约束，保证结果可复现
+const settings = {
+    searchDepth: 4,
+    timeLimit: 0,
+    candidateCount: 10,
+    searchRange: 2
+};
+
+function emptyBoard(size = 15) {
+    return Array(size).fill().map(() => Array(size).fill(0));
+}
+
+/**
+ * 按坐标列表摆放棋子
+ * @param {Array} black - [[row, col], ...]
+ * @param {Array} white - [[row, col], ...]
+ */
+function setupBoard(black, white, size = 15) {
+    const board = emptyBoard(size);
+    black.forEach(([row, col]) => { board[row][col] = 1; });
+    white.forEach(([row, col]) => { board[row][col] = 2; });
+    return board;
+}
+
+function includesMove(moves, move) {
+    return moves.some(([row, col]) => row === move[0] && col === move[1]);
+}
+
+test('空棋盘没有候选点', () => {
+    const ai = new GomokuAI(settings);
+    assert.deepStrictEqual(ai.generateCandidateMoves(emptyBoard(), 1), []);
+});
+
+test('候选点只在已有棋子的 searchRange 范围内，且不含已落子的点', () => {
+    const board = setupBoard([[7, 7]], [[7, 8]]);
+
+    for (const searchRange of [1, 2, 3]) {
+        const ai = new GomokuAI({ ...settings, searchRange, candidateCount: 225 });
+        const moves = ai.generateCandidateMoves(board, 1);
+
+        // 两子周围 (2r+1) × (2r+2) 的矩形，去掉两个已落子的点
+        assert.strictEqual(moves.length, (2 * searchRange + 1) * (2 * searchRange + 2) - 2);
+        for (const [row, col] of moves) {
+            assert.strictEqual(board[row][col], 0);
+            assert.ok(Math.abs(row - 7) <= searchRange && col >= 7 - searchRange && col <= 8 + searchRange);
+        }
+    }
+});
+
+test('候选点按快速评估排序并截取 candidateCount 个', () => {
+    const board = setupBoard([[7, 7], [7, 8], [7, 9]], [[8, 8], [6, 6]]);
+    const all = new GomokuAI({ ...settings, candidateCount: 225 }).generateCandidateMoves(board, 1);
+    const top = new GomokuAI({ ...settings, candidateCount: 5 }).generateCandidateMoves(board, 1);
+
+    assert.strictEqual(top.length, 5);
+    assert.deepStrictEqual(top, all.slice(0, 5));
+
+    const ai = new GomokuAI(settings);
+    const scores = all.map(([row, col]) => ai.quickEvaluatePosition(board, row, col, 1));
+    for (let i = 1; i < scores.length; i++) {
+        assert.ok(scores[i - 1] >= scores[i]);
+    }
+
+    // 活三两端的点排在最前
+    assert.ok(includesMove(top.slice(0, 2), [7, 6]) || includesMove(top.slice(0, 2), [7, 10]));
+});
+
+test('候选点在棋盘边角不越界', () => {
+    const board = setupBoard([[0, 0]], [[14, 14]]);
+    const ai = new GomokuAI({ ...settings, candidateCount: 225 });
+    const moves = ai.generateCandidateMoves(board, 1);
+
+    assert.strictEqual(moves.length, 16);
+    for (const [row, col] of moves) {
+        assert.ok(row >= 0 && row < 15 && col >= 0 && col < 15);
+    }
+});
+
+test('连珠规则下黑方的候选点不含禁手点', () => {
+    // (7, 7) 同时形成横向和纵向两个活三，是三三禁手
+    const board = setupBoard([[7, 5], [7, 6], [5, 7], [6, 7]], [[0, 0], [0, 14], [14, 0], [14, 14]]);
+    const renju = new GomokuAI({ ...settings, ruleSet: 'renju', candidateCount: 225 });
+    const freestyle = new GomokuAI({ ...settings, candidateCount: 225 });
+
+    assert.ok(renju.isForbiddenMove(board, 7, 7, 1));
+    assert.ok(!includesMove(renju.generateCandidateMoves(board, 1), [7, 7]));
+    assert.ok(includesMove(renju.generateCandidateMoves(board, 2), [7, 7]));
+    assert.ok(includesMove(freestyle.generateCandidateMoves(board, 1), [7, 7]));
+});
+
+// 必胜/必防局面，每种都分别用常规搜索（关闭VCF/VCT）和完整搜索验证
+const positions = [
+    {
+        name: '己方冲四必须成五',
+        black: [[7, 5], [7, 6], [7, 7], [7, 8], [9, 9]],
+        white: [[7, 4], [8, 8], [6, 6], [8, 6]],
+        player: 1,
+        expected: [[7, 9]]
+    },
+    {
+        name: '对角线活四任选一端成五',
+        black: [[4, 4], [5, 5], [6, 6], [7, 7]],
+        white: [[4, 5], [5, 6], [6, 7], [9, 2]],
+        player: 1,
+        expected: [[3, 3], [8, 8]]
+    },
+    {
+        name: '棋盘边缘的冲四成五',
+        black: [[9, 9], [8, 9], [10, 8]],
+        white: [[0, 10], [0, 11], [0, 12], [0, 13], [1, 12]],
+        player: 2,
+        expected: [[0, 14], [0, 9]]
+    },
+    {
+        name: '必须挡住对方的冲四',
+        black: [[3, 3], [4, 4], [5, 5], [6, 6], [7, 9]],
+        white: [[2, 2], [7, 8], [8, 8]],
+        player: 2,
+        expected: [[7, 7]]
+    },
+    {
+        name: '己方有五不挡对方的四',
+        black: [[7, 3], [7, 4], [7, 5], [7, 6]],
+        white: [[7, 2], [5, 10], [6, 10], [8, 10], [9, 10]],
+        player: 2,
+        expected: [[7, 10]]
+    },
+    {
+        name: '必须挡住对方的活三',
+        black: [[7, 6], [7, 7], [7, 8], [9, 9]],
+        white: [[8, 7], [6, 9]],
+        player: 2,
+        expected: [[7, 5], [7, 9], [7, 4], [7, 10]]
+    }
+];
+
+for (const { name, black, white, player, expected } of positions) {
+    for (const [mode, options] of [['常规搜索', { useVCF: false, useVCT: false }], ['完整搜索', {}]]) {
+        test(`${name}（${mode}）`, () => {
+            const ai = new GomokuAI({ ...settings, ...options });
+            const board = setupBoard(black, white);
+            const result = ai.findBestMove(board, player);
+
+            assert.ok(includesMove(expected, result.move), `得到 ${result.move}`);
+        });
+    }
+}
+
+test('VCF找到连续冲四取胜的序列', () => {
+    // 黑方两条冲四线交汇在 (7, 7)：先冲横向，再冲纵向形成四四
+    const board = setupBoard(
+        [[7, 4], [7, 5], [7, 6], [4, 7], [5, 7], [6, 7]],
+        [[7, 3], [3, 7], [10, 10], [11, 11], [12, 9], [2, 2]]
+    );
+    const ai = new GomokuAI(settings);
+    const result = ai.findBestMove(board, 1);
+
+    assert.ok(result.vcf, '应找到VCF');
+    assert.strictEqual(result.score, 10000);
+    assert.deepStrictEqual(result.move, [result.vcf[0][0], result.vcf[0][1]]);
+    assert.ok(includesMove([[7, 7], [7, 8], [8, 7]], result.move), `得到 ${result.move}`);
+});
+
+test('MCTS 同样能找到成五点和必防点', () => {
+    const ai = new MCTSAI({ ...settings, mctsIterations: 500 });
+
+    const win = positions[0];
+    assert.ok(includesMove(win.expected, ai.findBestMove(setupBoard(win.black, win.white), win.player).move));
+
+    const block = positions[3];
+    assert.ok(includesMove(block.expected, ai.findBestMove(setupBoard(block.black, block.white), block.player).move));
+});
+
+test('搜索结果包含以最佳着法开头、双方交替的主变化', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const before = JSON.stringify(board);
+    const ai = new GomokuAI({ ...settings, useVCF: false, useVCT: false });
+    const result = ai.findBestMove(board, 2);
+
+    assert.deepStrictEqual(result.pv[0], [...result.move, 2]);
+    assert.ok(result.pv.length >= 2 && result.pv.length <= result.reachedDepth);
+    result.pv.forEach(([row, col, player], i) => {
+        assert.strictEqual(player, i % 2 === 0 ? 2 : 1);
+        assert.strictEqual(board[row][col], 0);
+    });
+    assert.strictEqual(new Set(result.pv.map(([row, col]) => row * 15 + col)).size, result.pv.length);
+    // 补全主变化后棋盘复原
+    assert.strictEqual(JSON.stringify(board), before);
+});
+
+test('搜索开始前先汇报排序第一的候选点，VCF/VCT期间停止也有着法可用', () => {
+    const board = setupBoard([[7, 7], [8, 8]], [[7, 8]]);
+    for (const ai of [new GomokuAI(settings), new MCTSAI({ ...settings, timeLimit: 100 })]) {
+        const progress = [];
+        ai.onProgress = report => progress.push(report);
+        ai.findBestMove(board, 2);
+
+        assert.strictEqual(progress[0].moveDepth, 0);
+        assert.deepStrictEqual(progress[0].move, ai.generateCandidateMoves(board, 2)[0]);
+    }
+});
+
+test('VCF必胜时主变化就是取胜序列', () => {
+    const board = setupBoard(
+        [[7, 4], [7, 5], [7, 6], [4, 7], [5, 7], [6, 7]],
+        [[7, 3], [3, 7], [10, 10], [11, 11], [12, 9], [2, 2]]
+    );
+    const result = new GomokuAI(settings).findBestMove(board, 1);
+
+    assert.deepStrictEqual(result.pv, result.vcf);
+});
+
+test('根节点评分覆盖全部候选点，其余空点分为被截掉和超出范围两类', () => {
+    const board = setupBoard([[7, 7], [8, 8]], [[7, 8]]);
+    const ai = new GomokuAI({ ...settings, searchDepth: 2, candidateCount: 6, useVCF: false, useVCT: false });
+    const result = ai.findBestMove(board, 2);
+
+    assert.strictEqual(result.rootScores.length, 6);
+    assert.deepStrictEqual(result.rootScores[0].move, result.move);
+    assert.strictEqual(result.rootScores[0].score, result.score);
+
+    const keys = moves => moves.map(([row, col]) => row * 15 + col);
+    const all = [
+        ...keys(result.rootScores.map(({ move }) => move)),
+        ...keys(result.cutMoves),
+        ...keys(result.outOfRangeMoves)
+    ];
+    // 三类互不重叠，合起来正好是所有空点
+    assert.strictEqual(new Set(all).size, all.length);
+    assert.strictEqual(all.length, 15 * 15 - 3);
+    for (const [row, col] of result.outOfRangeMoves) {
+        assert.ok(!ai.hasNearbyPieces(board, row, col, settings.searchRange));
+    }
+});
+
+test('multiPV 个最高的根节点得分是准确值，与逐个完整搜索一致', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const options = { ...settings, candidateCount: 8, useVCF: false, useVCT: false };
+    const plain = new GomokuAI(options).findBestMove(board, 2);
+    const top = new GomokuAI({ ...options, multiPV: 3 }).findBestMove(board, 2);
+    const exact = new GomokuAI({ ...options, multiPV: 8 }).findBestMove(board, 2);
+
+    // 只要最佳着法时，第二、三名的得分只是上界，偏高
+    const scores = result => result.rootScores.slice(0, 3).map(({ score }) => score);
+    assert.notDeepStrictEqual(scores(plain), scores(exact));
+    assert.deepStrictEqual(scores(top), scores(exact));
+    assert.strictEqual(top.score, plain.score);
+    assert.ok(top.searchNodes <= exact.searchNodes);
+});
+
+test('根节点得分标出是否准确，上界不低于完整搜索的得分', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const options = { ...settings, candidateCount: 8, useVCF: false, useVCT: false };
+    const plain = new GomokuAI(options).findBestMove(board, 2);
+    const exact = new GomokuAI({ ...options, multiPV: 8 }).findBestMove(board, 2);
+
+    assert.ok(plain.rootScores[0].exact);
+    assert.ok(plain.rootScores.some(({ exact }) => !exact));
+    assert.ok(exact.rootScores.every(({ exact }) => exact));
+    for (const { move, score, exact: isExact } of plain.rootScores) {
+        const full = exact.rootScores.find(entry => entry.move[0] === move[0] && entry.move[1] === move[1]);
+        if (isExact) assert.strictEqual(score, full.score);
+        else assert.ok(score >= full.score);
+    }
+});
+
+test('记录搜索树不改变搜索结果，且不超过节点上限', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const options = { ...settings, useVCF: false, useVCT: false };
+    const plain = new GomokuAI(options).findBestMove(board, 2);
+    const recorded = new GomokuAI({ ...options, recordTree: true, treeNodeLimit: 300 }).findBestMove(board, 2);
+
+    assert.strictEqual(plain.searchTree, null);
+    assert.deepStrictEqual(recorded.move, plain.move);
+    assert.strictEqual(recorded.score, plain.score);
+
+    const tree = recorded.searchTree;
+    assert.strictEqual(tree.root.score, recorded.score);
+    assert.ok(tree.nodeCount <= 300);
+
+    let count = 0;
+    const visit = node => {
+        count++;
+        // 发生剪枝的节点是父节点最后记录的子节点
+        node.children.forEach((child, index) => {
+            if (child.cutoff) assert.strictEqual(index, node.children.length - 1);
+            assert.strictEqual(child.player, 3 - node.player);
+            visit(child);
+        });
+    };
+    visit(tree.root);
+    assert.strictEqual(count, tree.nodeCount);
+});
+
+test('单步调试的生成器与常规搜索得到相同的得分', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const before = JSON.stringify(board);
+    const options = { ...settings, searchDepth: 3, candidateCount: 5, useVCF: false, useVCT: false, useTranspositionTable: false };
+    const ai = new GomokuAI(options);
+    const expected = ai.findBestMove(board, 2);
+
+    const steps = ai.debugSearch(board, 2, 3, 5);
+    const types = new Set();
+    let step;
+    while (!(step = steps.next()).done) {
+        const event = step.value;
+        types.add(event.type);
+        assert.ok(event.path.length <= 3);
+        if (event.type === 'cutoff') {
+            assert.ok(event.score >= event.beta);
+        }
+    }
+
+    assert.strictEqual(step.value.score, expected.score);
+    assert.deepStrictEqual(step.value.move.slice(0, 2), expected.move);
+    for (const type of ['enter', 'leaf', 'update', 'cutoff', 'exit']) {
+        assert.ok(types.has(type), type);
+    }
+    // 调试在棋盘副本上进行
+    assert.strictEqual(JSON.stringify(board), before);
+});
+
+test('杀手着法和历史启发只改变搜索顺序，不改变得分', () => {
+    const board = setupBoard([[7, 7], [7, 9], [8, 8], [9, 7]], [[6, 6], [8, 7], [7, 8]]);
+    const results = [[false, false], [true, false], [false, true], [true, true]].map(([killer, history]) =>
+        new GomokuAI({
+            ...settings,
+            useVCF: false,
+            useVCT: false,
+            useTranspositionTable: false,
+            useKillerMoves: killer,
+            useHistoryHeuristic: history
+        }).findBestMove(board, 2)
+    );
+
+    for (const result of results) {
+        assert.strictEqual(result.score, results[0].score);
+        assert.ok(result.firstMoveCutoffRate > 0 && result.firstMoveCutoffRate <= 1);
+        // 有效分支因子满足 b^深度 = 节点数
+        assert.ok(Math.abs(Math.pow(result.effectiveBranchingFactor, result.reachedDepth) - result.searchNodes) < 1e-6 * result.searchNodes);
+    }
+    assert.deepStrictEqual(results[3].moveOrdering, { killerMoves: true, historyHeuristic: true });
+});
+
+test('置换表中的胜负分数按读出时的剩余深度换算', () => {
+    const ai = new GomokuAI(settings);
+    // 存入时剩余深度 3、两手后取胜（10000 + 1），在剩余深度 2 处读出时离胜负仍是两手
+    assert.strictEqual(ai.adjustWinScore(10001, 3, 2), 10000);
+    assert.strictEqual(ai.adjustWinScore(-10003, 4, 3), -10002);
+    assert.strictEqual(ai.adjustWinScore(10001, 5, 2), 10000);
+    assert.strictEqual(ai.adjustWinScore(2500, 5, 2), 2500);
+});
+
+test('复用的实例改了权重后，不再使用置换表中的旧结果', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const options = { ...settings, useVCF: false, useVCT: false };
+    const patternWeights = { liveThree: 50, deadFour: 2000 };
+
+    const reused = new GomokuAI(options);
+    reused.findBestMove(board, 2);
+    reused.settings.patternWeights = { ...reused.settings.patternWeights, ...patternWeights };
+    const result = reused.findBestMove(board, 2);
+    const fresh = new GomokuAI({ ...options, patternWeights }).findBestMove(board, 2);
+
+    assert.strictEqual(result.score, fresh.score);
+    assert.deepStrictEqual(result.rootScores, fresh.rootScores);
+});
+
+test('置换表在第一次Alpha-Beta搜索时才分配，MCTS 不分配', () => {
+    const board = setupBoard([[7, 7]], [[7, 8]]);
+    const ai = new GomokuAI({ ...settings, useOpeningBook: false });
+    const mcts = new MCTSAI({ ...settings, timeLimit: 100, useOpeningBook: false });
+    assert.strictEqual(ai.ttDepths, null);
+
+    ai.findBestMove(board, 1);
+    mcts.findBestMove(board, 1);
+    assert.strictEqual(ai.ttDepths.length, 1 << ai.settings.ttSizeBits);
+    assert.ok(ai.ttStores > 0);
+    assert.strictEqual(mcts.ttDepths, null);
+});
+
+test('只用于一次搜索的设置不改变实例设置，也不清空置换表', () => {
+    const board = setupBoard([[7, 7], [8, 8], [6, 8]], [[7, 8], [8, 7]]);
+    const ai = new GomokuAI({ ...settings, useVCF: false, useVCT: false });
+    ai.findBestMove(board, 2);
+    let cleared = false;
+    ai.clearTranspositionTable = () => { cleared = true; };
+
+    const result = ai.withSettings({ multiPV: 3, useOpeningBook: false }, () => ai.findBestMove(board, 2));
+    assert.ok(result.rootScores.slice(0, 3).every(({ exact }) => exact));
+    assert.strictEqual(ai.settings.multiPV, 1);
+    assert.strictEqual(ai.settings.useOpeningBook, true);
+    assert.strictEqual(cleared, false);
+});
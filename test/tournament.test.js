@@ -0,0 +1,70 @@
+/**
+ * 自对弈比赛测试：得分率换算 Elo 差和置信区间
+ * 运行: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Tournament } = require('../tournament.js');
+
+test('胜负各半时 Elo 差为 0，区间关于 0 对称', () => {
+    const { score, elo, eloLow, eloHigh } = Tournament.computeElo(5, 5, 0);
+    assert.strictEqual(score, 0.5);
+    assert.ok(Math.abs(elo) < 1e-9);
+    assert.ok(eloLow < 0 && eloHigh > 0);
+    assert.ok(Math.abs(eloLow + eloHigh) < 1e-9);
+});
+
+test('全胜时区间下界有限，上界为 +∞', () => {
+    const { elo, eloLow, eloHigh } = Tournament.computeElo(2, 0, 0);
+    assert.strictEqual(elo, Infinity);
+    assert.strictEqual(eloHigh, Infinity);
+    assert.ok(Number.isFinite(eloLow));
+    assert.ok(eloLow < 0, '两局全胜还不能说明 A 更强');
+
+    // 局数越多，下界越高
+    assert.ok(Tournament.computeElo(20, 0, 0).eloLow > eloLow);
+});
+
+test('全负时区间上界有限，下界为 -∞', () => {
+    const { elo, eloLow, eloHigh } = Tournament.computeElo(0, 3, 0);
+    assert.strictEqual(elo, -Infinity);
+    assert.strictEqual(eloLow, -Infinity);
+    assert.ok(Number.isFinite(eloHigh));
+    assert.ok(Math.abs(eloHigh + Tournament.computeElo(3, 0, 0).eloLow) < 1e-9);
+});
+
+test('全部和棋时区间不为一个点', () => {
+    const { elo, eloLow, eloHigh } = Tournament.computeElo(0, 0, 4);
+    assert.ok(Math.abs(elo) < 1e-9);
+    assert.ok(eloLow < 0 && eloHigh > 0);
+});
+
+test('开局库着法不计入每步平均节点数和耗时', () => {
+    const tournament = new Tournament({}, {}, { games: 1, openingMoves: 1, boardSize: 15 });
+    // 用假引擎代替搜索：每方第一步来自开局库，之后每步 100 节点、10ms；开局一子后白方 B 先走，A 第 4 手获胜
+    tournament.engines = [0, 1].map(index => {
+        let calls = 0;
+        return {
+            clearTranspositionTable() {},
+            rules: { isWinningMove: () => index === 0 && calls === 4 },
+            findBestMove(board) {
+                calls++;
+                const empty = [];
+                board.forEach((line, row) => line.forEach((cell, col) => {
+                    if (cell === 0) empty.push([row, col]);
+                }));
+                return calls === 1
+                    ? { move: empty[0], book: { move: empty[0] }, searchNodes: 0, searchTime: 0 }
+                    : { move: empty[0], searchNodes: 100, searchTime: 10 };
+            }
+        };
+    });
+
+    const report = tournament.run();
+    assert.strictEqual(report.wins, 1);
+    const [a, b] = report.profiles;
+    assert.deepStrictEqual(a, { moves: 3, bookMoves: 1, avgNodes: 100, avgTime: 10 });
+    assert.deepStrictEqual(b, { moves: 3, bookMoves: 1, avgNodes: 100, avgTime: 10 });
+    assert.match(Tournament.formatReport(report), /A 每步平均: 100 节点, 10ms（共搜索 3 步，另有 1 步来自开局库）/);
+});
@@ -0,0 +1,50 @@
+/**
+ * 在 Node 中无界面运行自对弈比赛
+ *
+ * 用法:
+ *   node tournament-cli.js --games 20 --a '{"searchDepth":4}' --b '{"searchDepth":2}'
+ *
+ * 参数:
+ *   --games N     对局数（默认 10）
+ *   --opening N   随机开局手数（默认 3）
+ *   --time MS     双方默认每步思考时间（默认 1000，可被 --a/--b 覆盖）
+ *   --base JSON   双方共用的基础设置
+ *   --a JSON      A 方在基础设置上覆盖的参数
+ *   --b JSON      B 方在基础设置上覆盖的参数
+ */
+
+const { Tournament } = require('./tournament.js');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`无法解析参数: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const base = { timeLimit: Number(args.time || 1000), ...JSON.parse(args.base || '{}') };
+    const profileA = Tournament.mergeProfile(base, JSON.parse(args.a || '{}'));
+    const profileB = Tournament.mergeProfile(base, JSON.parse(args.b || '{}'));
+
+    const tournament = new Tournament(profileA, profileB, {
+        games: Number(args.games || 10),
+        openingMoves: Number(args.opening || 3)
+    });
+
+    tournament.onProgress = ({ result }) => {
+        console.log(Tournament.formatResult(result));
+    };
+
+    const report = tournament.run();
+    console.log('');
+    console.log(Tournament.formatReport(report));
+}
+
+main();
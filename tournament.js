@@ -0,0 +1,274 @@
+/**
+ * 自对弈比赛：用两套AI设置（A、B）对弈 N 局，客观比较参数调整前后的棋力
+ * - 每两局使用同一个随机开局，A、B 轮流执黑，抵消先手优势
+ * - 统计 A 的胜/负/和，按得分率换算 Elo 差及 95% 置信区间
+ * - 统计双方每步的平均搜索节点数和耗时（开局库着法不搜索，单独计数）
+ * 不依赖页面，可以在 Worker 中运行，也可以用 tournament-cli.js 在 Node 中运行。
+ */
+
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        require('./gomoku-ai.js'),
+        require('./mcts-ai.js')
+    );
+}
+
+class Tournament {
+    /**
+     * @param {Object} profileA - A 方的完整AI设置
+     * @param {Object} profileB - B 方的完整AI设置
+     * @param {Object} options - { games: 对局数, openingMoves: 随机开局手数(0 ~ 8), ruleSet, boardSize }
+     */
+    constructor(profileA, profileB, options = {}) {
+        this.options = {
+            games: 10,
+            openingMoves: 3,
+            ...options
+        };
+        // 开局子都落在天元附近 5×5 的范围内
+        this.options.openingMoves = Math.min(Math.max(this.options.openingMoves, 0), 8);
+
+        // 双方必须使用相同的规则和棋盘
+        const shared = {};
+        if (this.options.ruleSet) shared.ruleSet = this.options.ruleSet;
+        if (this.options.boardSize) shared.boardSize = this.options.boardSize;
+
+        this.profiles = [profileA, profileB].map(profile => ({ ...profile, ...shared }));
+        this.engines = this.profiles.map(profile => Tournament.createEngine(profile));
+        this.boardSize = this.engines[0].boardSize;
+
+        this.openings = [];   // 每两局共用的随机开局 [[row, col, player], ...]
+        this.results = [];    // 每局结果 { game, black, winner, moves }
+        this.stats = [0, 1].map(() => ({ moves: 0, bookMoves: 0, nodes: 0, time: 0 }));
+        this.onProgress = null; // 每局结束后的回调 (progress) => {}
+    }
+
+    /**
+     * 在基础设置上覆盖部分参数（patternWeights 只覆盖给出的几项）
+     */
+    static mergeProfile(base, overrides = {}) {
+        return {
+            ...base,
+            ...overrides,
+            patternWeights: { ...base.patternWeights, ...overrides.patternWeights }
+        };
+    }
+
+    /**
+     * 按 settings.engine 创建AI实例
+     */
+    static createEngine(settings) {
+        return settings.engine === 'mcts' ? new MCTSAI(settings) : new GomokuAI(settings);
+    }
+
+    /**
+     * 依次进行所有对局
+     * @returns {Object} - getReport() 的结果
+     */
+    run() {
+        for (let game = this.results.length; game < this.options.games; game++) {
+            this.playGame(game);
+        }
+        return this.getReport();
+    }
+
+    /**
+     * 进行一局：偶数局 A 执黑，奇数局 B 执黑
+     * @returns {Object} - { game, black, winner, moves }，black/winner 为 'A'、'B'，和棋时 winner 为 null
+     */
+    playGame(game) {
+        const size = this.boardSize;
+        const board = Array.from({ length: size }, () => Array(size).fill(0));
+        const blackIndex = game % 2;
+        const names = ['A', 'B'];
+
+        // 开局
+        const opening = this.getOpening(Math.floor(game / 2));
+        for (const [row, col, player] of opening) {
+            board[row][col] = player;
+        }
+
+        this.engines.forEach(engine => engine.clearTranspositionTable());
+
+        let player = opening.length % 2 === 0 ? 1 : 2;
+        let moves = opening.length;
+        let winnerIndex = null;
+
+        while (moves < size * size) {
+            const index = player === 1 ? blackIndex : 1 - blackIndex;
+            const engine = this.engines[index];
+            const result = engine.findBestMove(board, player);
+            if (!result || !result.move) break;
+
+            // 开局库着法没有搜索（0 节点、约 0ms），不计入平均值
+            const stats = this.stats[index];
+            if (result.book) {
+                stats.bookMoves++;
+            } else {
+                stats.moves++;
+                stats.nodes += result.searchNodes || 0;
+                stats.time += result.searchTime || 0;
+            }
+
+            const [row, col] = result.move;
+            board[row][col] = player;
+            moves++;
+
+            if (engine.rules.isWinningMove(board, row, col, player)) {
+                winnerIndex = index;
+                break;
+            }
+            player = 3 - player;
+        }
+
+        const record = {
+            game,
+            black: names[blackIndex],
+            winner: winnerIndex === null ? null : names[winnerIndex],
+            moves
+        };
+        this.results.push(record);
+
+        if (this.onProgress) {
+            this.onProgress({ game: game + 1, games: this.options.games, result: record, report: this.getReport() });
+        }
+        return record;
+    }
+
+    /**
+     * 第 pair 组对局的随机开局：黑白交替，落在天元附近 2 路以内
+     */
+    getOpening(pair) {
+        if (!this.openings[pair]) {
+            const size = this.boardSize;
+            const center = Math.floor(size / 2);
+            const stones = [];
+            const taken = new Set();
+
+            // 第一手总在天元
+            stones.push([center, center, 1]);
+            taken.add(center * size + center);
+
+            while (stones.length < this.options.openingMoves) {
+                const row = center + Math.floor(Math.random() * 5) - 2;
+                const col = center + Math.floor(Math.random() * 5) - 2;
+                if (taken.has(row * size + col)) continue;
+
+                taken.add(row * size + col);
+                stones.push([row, col, stones.length % 2 === 0 ? 1 : 2]);
+            }
+            this.openings[pair] = stones.slice(0, this.options.openingMoves);
+        }
+        return this.openings[pair];
+    }
+
+    /**
+     * 汇总已完成对局的结果（以 A 方为准）
+     */
+    getReport() {
+        let wins = 0;
+        let losses = 0;
+        let draws = 0;
+        for (const { winner } of this.results) {
+            if (winner === 'A') wins++;
+            else if (winner === 'B') losses++;
+            else draws++;
+        }
+
+        const perMove = (stats) => ({
+            moves: stats.moves,
+            bookMoves: stats.bookMoves,
+            avgNodes: stats.moves > 0 ? Math.round(stats.nodes / stats.moves) : 0,
+            avgTime: stats.moves > 0 ? Math.round(stats.time / stats.moves) : 0
+        });
+
+        return {
+            games: this.results.length,
+            wins,
+            losses,
+            draws,
+            ...Tournament.computeElo(wins, losses, draws),
+            profiles: [perMove(this.stats[0]), perMove(this.stats[1])],
+            results: this.results.slice()
+        };
+    }
+
+    /**
+     * 由胜负和计算得分率、Elo 差和 95% 置信区间
+     * 区间取得分率的 Wilson 区间（和棋记半分），端点再换算为 Elo；全胜/全负时区间仍有一端有限
+     * @returns {Object} - { score, elo, eloLow, eloHigh }，得分率为 1 / 0 时对应的 Elo 为 ±Infinity
+     */
+    static computeElo(wins, losses, draws) {
+        const games = wins + losses + draws;
+        if (games === 0) {
+            return { score: 0.5, elo: 0, eloLow: -Infinity, eloHigh: Infinity };
+        }
+
+        const z = 1.96;
+        const score = (wins + draws / 2) / games;
+        const center = (score + z * z / (2 * games)) / (1 + z * z / games);
+        const margin = z / (1 + z * z / games) * Math.sqrt(score * (1 - score) / games + z * z / (4 * games * games));
+        // 得分率为 0 / 1 时端点正好是 0 / 1，避免浮点误差换算出很大的有限 Elo
+        const low = score === 0 ? 0 : center - margin;
+        const high = score === 1 ? 1 : center + margin;
+
+        const toElo = (s) => {
+            if (s <= 0) return -Infinity;
+            if (s >= 1) return Infinity;
+            return -400 * Math.log10(1 / s - 1);
+        };
+
+        return {
+            score,
+            elo: toElo(score),
+            eloLow: toElo(low),
+            eloHigh: toElo(high)
+        };
+    }
+
+    static formatElo(elo) {
+        if (elo === Infinity) return '+∞';
+        if (elo === -Infinity) return '-∞';
+        const rounded = Math.round(elo);
+        return rounded > 0 ? `+${rounded}` : String(rounded);
+    }
+
+    /**
+     * 单局结果的文本形式
+     */
+    static formatResult(result) {
+        const outcome = result.winner ? `${result.winner} 胜` : '和棋';
+        return `第 ${result.game + 1} 局: ${result.black} 执黑, ${outcome}, ${result.moves} 手`;
+    }
+
+    /**
+     * 比赛报告的文本形式（页面和命令行共用）
+     */
+    static formatReport(report) {
+        const [a, b] = report.profiles;
+        return [
+            `对局数: ${report.games}`,
+            `A 胜/负/和: ${report.wins} / ${report.losses} / ${report.draws}（得分率 ${(report.score * 100).toFixed(1)}%）`,
+            `Elo 差 (A - B): ${Tournament.formatElo(report.elo)}，95% 置信区间 [${Tournament.formatElo(report.eloLow)}, ${Tournament.formatElo(report.eloHigh)}]`,
+            Tournament.formatPerMove('A', a),
+            Tournament.formatPerMove('B', b)
+        ].join('\n');
+    }
+
+    /**
+     * 一方每步搜索统计的文本形式，开局库着法另外列出
+     */
+    static formatPerMove(name, stats) {
+        const book = stats.bookMoves > 0 ? `，另有 ${stats.bookMoves} 步来自开局库` : '';
+        return `${name} 每步平均: ${stats.avgNodes} 节点, ${stats.avgTime}ms（共搜索 ${stats.moves} 步${book}）`;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Tournament };
+} else {
+    self.Tournament = Tournament;
+}
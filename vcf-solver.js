@@ -0,0 +1,222 @@
+/**
+ * 五子棋VCF（连续冲四）求解器
+ * 进攻方每一步都走成四，防守方只能挡在唯一的成五点上，
+ * 直到进攻方形成活四/双四或直接成五，得到一条强制取胜的着法序列。
+ * 棋型识别复用 GomokuAI 的 getLineString / patterns / detectPatternInDirection。
+ */
+
+class VCFSolver {
+    /**
+     * @param {GomokuAI} ai - 提供棋型识别和Zobrist哈希的AI实例
+     * @param {Object} options - { maxDepth: 进攻方最多冲四次数, nodeLimit: 最多展开节点数 }
+     */
+    constructor(ai, options = {}) {
+        this.ai = ai;
+        this.maxDepth = options.maxDepth || 12;
+        this.nodeLimit = options.nodeLimit || 20000;
+
+        this.nodes = 0;
+        this.limitReached = false;
+        this.failed = new Map(); // 已证明无解的局面哈希 -> 当时的剩余深度
+
+        // 成四棋型（含成五），用于快速过滤方向
+        this.fourRegex = new RegExp(
+            ai.patterns
+                .filter(p => ['liveFive', 'liveFour', 'deadFour'].includes(p.type))
+                .map(p => p.regex.source)
+                .join('|')
+        );
+
+        this.directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+    }
+
+    /**
+     * 求解VCF
+     * @param {Array} board - 当前棋盘状态（搜索结束后恢复原状）
+     * @param {Number} attacker - 进攻方 (1=黑, 2=白)
+     * @returns {Array|null} - 强制取胜序列 [[row, col, player], ...]，无解时返回 null
+     */
+    solve(board, attacker) {
+        this.nodes = 0;
+        this.limitReached = false;
+        this.failed.clear();
+        this.ai.hash = this.ai.computeHash(board);
+
+        return this.search(board, attacker, this.maxDepth);
+    }
+
+    /**
+     * 递归搜索：轮到进攻方走棋
+     */
+    search(board, attacker, depth) {
+        this.nodes++;
+        if (this.nodes > this.nodeLimit) {
+            this.limitReached = true;
+            return null;
+        }
+
+        const defender = 3 - attacker;
+
+        // 已经可以直接成五
+        const wins = this.findFiveMoves(board, attacker);
+        if (wins.length > 0) {
+            return [[wins[0][0], wins[0][1], attacker]];
+        }
+
+        if (depth === 0) return null;
+
+        // 对方已有成五点：必须先挡住，且挡的这手本身要成四
+        const threats = this.findFiveMoves(board, defender);
+        if (threats.length > 1) return null;
+
+        const key = `${this.ai.hash.key},${this.ai.hash.lock}`;
+        if (this.failed.has(key) && this.failed.get(key) >= depth) {
+            return null;
+        }
+
+        let candidates = this.findFourMoves(board, attacker);
+        if (threats.length === 1) {
+            const [tr, tc] = threats[0];
+            candidates = candidates.filter(([r, c]) => r === tr && c === tc);
+        }
+
+        for (const [row, col] of candidates) {
+            this.ai.makeMove(board, row, col, attacker);
+            const fivePoints = this.getFivePointsThrough(board, row, col, attacker);
+
+            if (fivePoints.length >= 2) {
+                // 活四或双四：防守方只能挡一个
+                this.ai.unmakeMove(board, row, col, attacker);
+                const [br, bc] = fivePoints[0];
+                const [wr, wc] = fivePoints[1];
+                return [[row, col, attacker], [br, bc, defender], [wr, wc, attacker]];
+            }
+
+            // 冲四：防守方唯一应手，若该点是黑方禁手则无法防守
+            const [br, bc] = fivePoints[0];
+            if (this.ai.isForbiddenMove(board, br, bc, defender)) {
+                this.ai.unmakeMove(board, row, col, attacker);
+                return [[row, col, attacker], [br, bc, attacker]];
+            }
+            this.ai.makeMove(board, br, bc, defender);
+            const rest = this.search(board, attacker, depth - 1);
+            this.ai.unmakeMove(board, br, bc, defender);
+            this.ai.unmakeMove(board, row, col, attacker);
+
+            if (rest) {
+                return [[row, col, attacker], [br, bc, defender], ...rest];
+            }
+            if (this.limitReached) return null;
+        }
+
+        this.failed.set(key, depth);
+        return null;
+    }
+
+    /**
+     * 找出所有落下即成五的空位
+     */
+    findFiveMoves(board, player) {
+        const moves = [];
+        const size = this.ai.boardSize;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (board[row][col] !== 0) continue;
+                if (!this.ai.hasNearbyPieces(board, row, col, 1)) continue;
+
+                if (this.isFiveMove(board, row, col, player)) {
+                    moves.push([row, col]);
+                }
+            }
+        }
+        return moves;
+    }
+
+    /**
+     * 找出所有落下即成四的空位，按快速评估分数排序
+     */
+    findFourMoves(board, player) {
+        const moves = [];
+        const size = this.ai.boardSize;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (board[row][col] !== 0) continue;
+                // 成四点与己方棋子的距离不超过2
+                if (!this.ai.hasNearbyPieces(board, row, col, 2)) continue;
+                if (this.ai.isForbiddenMove(board, row, col, player)) continue;
+
+                board[row][col] = player;
+                const isFour = this.directions.some(([dx, dy]) =>
+                    this.fourRegex.test(this.ai.getLineString(board, row, col, dx, dy, player)) &&
+                    this.getFivePointsInDirection(board, row, col, dx, dy, player).length > 0
+                );
+                board[row][col] = 0;
+
+                if (isFour) {
+                    moves.push({ move: [row, col], score: this.ai.quickEvaluatePosition(board, row, col, player) });
+                }
+            }
+        }
+
+        moves.sort((a, b) => b.score - a.score);
+        return moves.map(m => m.move);
+    }
+
+    /**
+     * 某个新落子在四个方向上形成的全部成五点（去重）
+     */
+    getFivePointsThrough(board, row, col, player) {
+        const points = [];
+        for (const [dx, dy] of this.directions) {
+            for (const point of this.getFivePointsInDirection(board, row, col, dx, dy, player)) {
+                if (!points.some(([r, c]) => r === point[0] && c === point[1])) {
+                    points.push(point);
+                }
+            }
+        }
+        return points;
+    }
+
+    /**
+     * 经过 (row, col) 的某条线上，距离4格以内的成五点
+     */
+    getFivePointsInDirection(board, row, col, dx, dy, player) {
+        const points = [];
+        const size = this.ai.boardSize;
+
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0) continue;
+            const r = row + k * dx;
+            const c = col + k * dy;
+            if (r < 0 || r >= size || c < 0 || c >= size || board[r][c] !== 0) continue;
+
+            board[r][c] = player;
+            const isFive = this.ai.detectPatternInDirection(board, r, c, dx, dy, player) === 'liveFive';
+            board[r][c] = 0;
+
+            if (isFive) points.push([r, c]);
+        }
+        return points;
+    }
+
+    /**
+     * 在 (row, col) 落子是否成五
+     */
+    isFiveMove(board, row, col, player) {
+        board[row][col] = player;
+        const isFive = this.directions.some(([dx, dy]) =>
+            this.ai.detectPatternInDirection(board, row, col, dx, dy, player) === 'liveFive'
+        );
+        board[row][col] = 0;
+        return isFive;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VCFSolver };
+} else {
+    self.VCFSolver = VCFSolver;
+}
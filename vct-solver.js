@@ -0,0 +1,255 @@
+/**
+ * 五子棋VCT（连续活三/冲四）求解器 - 威胁空间搜索
+ * 在VCF的基础上，进攻方还可以走活三；活三不是绝对先手，
+ * 因此需要逐一验证防守方的所有应手（挡三的点、防守方自己的冲四），
+ * 只有每一种防守都挡不住时才算必胜。
+ */
+
+// Node 中引入依赖（页面和 Worker 中它们已由先加载的脚本定义为全局类）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./vcf-solver.js'));
+}
+
+class VCTSolver extends VCFSolver {
+    /**
+     * @param {GomokuAI} ai - 提供棋型识别和Zobrist哈希的AI实例
+     * @param {Object} options - { maxDepth: 进攻方最多威胁次数, nodeLimit: 最多展开威胁节点数 }
+     */
+    constructor(ai, options = {}) {
+        super(ai, {
+            maxDepth: options.maxDepth || 6,
+            nodeLimit: options.nodeLimit || 3000
+        });
+
+        // 活三棋型，用于快速过滤方向
+        this.threeRegex = ai.patterns.find(p => p.type === 'liveThree').regex;
+    }
+
+    /**
+     * 进攻方节点：任选一个冲四或活三，使防守方无论如何应对都会输
+     * @returns {Array|null} - 主变化序列 [[row, col, player], ...]
+     */
+    search(board, attacker, depth) {
+        this.nodes++;
+        if (this.nodes > this.nodeLimit) {
+            this.limitReached = true;
+            return null;
+        }
+
+        const defender = 3 - attacker;
+
+        // 已经可以直接成五
+        const wins = this.findFiveMoves(board, attacker);
+        if (wins.length > 0) {
+            return [[wins[0][0], wins[0][1], attacker]];
+        }
+
+        if (depth === 0) return null;
+
+        // 对方已有成五点：必须先挡住
+        const threats = this.findFiveMoves(board, defender);
+        if (threats.length > 1) return null;
+
+        const key = `${this.ai.hash.key},${this.ai.hash.lock}`;
+        if (this.failed.has(key) && this.failed.get(key) >= depth) {
+            return null;
+        }
+
+        // 冲四优先，其次活三
+        let candidates = [
+            ...this.findFourMoves(board, attacker),
+            ...this.findThreeMoves(board, attacker)
+        ];
+        if (threats.length === 1) {
+            const [tr, tc] = threats[0];
+            candidates = candidates.filter(([r, c]) => r === tr && c === tc);
+        }
+
+        for (const [row, col] of candidates) {
+            this.ai.makeMove(board, row, col, attacker);
+            const fivePoints = this.getFivePointsThrough(board, row, col, attacker);
+            let line = null;
+
+            if (fivePoints.length >= 2) {
+                // 活四或双四
+                const [br, bc] = fivePoints[0];
+                const [wr, wc] = fivePoints[1];
+                line = [[br, bc, defender], [wr, wc, attacker]];
+            } else if (fivePoints.length === 1) {
+                // 冲四：防守方唯一应手，若该点是黑方禁手则无法防守
+                const [br, bc] = fivePoints[0];
+                if (this.ai.isForbiddenMove(board, br, bc, defender)) {
+                    line = [[br, bc, attacker]];
+                } else {
+                    this.ai.makeMove(board, br, bc, defender);
+                    const rest = this.search(board, attacker, depth - 1);
+                    this.ai.unmakeMove(board, br, bc, defender);
+                    if (rest) line = [[br, bc, defender], ...rest];
+                }
+            } else {
+                // 活三：验证防守方的每一种应手
+                line = this.defend(board, attacker, depth - 1);
+            }
+
+            this.ai.unmakeMove(board, row, col, attacker);
+
+            if (line) {
+                return [[row, col, attacker], ...line];
+            }
+            if (this.limitReached) return null;
+        }
+
+        this.failed.set(key, depth);
+        return null;
+    }
+
+    /**
+     * 防守方节点：所有应手都必须被进攻方继续攻破
+     * @returns {Array|null} - 以第一种应手展开的主变化，任一应手成立则返回 null
+     */
+    defend(board, attacker, depth) {
+        this.nodes++;
+        if (this.nodes > this.nodeLimit) {
+            this.limitReached = true;
+            return null;
+        }
+
+        const defender = 3 - attacker;
+
+        // 防守方可以直接成五
+        if (this.findFiveMoves(board, defender).length > 0) return null;
+
+        const threatPoints = this.getDefenseMoves(board, attacker);
+        // 对方的威胁已不成立
+        if (threatPoints.length === 0) return null;
+
+        // 黑方不能走禁手防守；无子可防时进攻方继续进攻
+        const defenses = threatPoints.filter(([r, c]) => !this.ai.isForbiddenMove(board, r, c, defender));
+        if (defenses.length === 0) {
+            return this.search(board, attacker, depth);
+        }
+
+        let mainLine = null;
+
+        for (const [row, col] of defenses) {
+            this.ai.makeMove(board, row, col, defender);
+            const fivePoints = this.getFivePointsThrough(board, row, col, defender);
+            let rest = null;
+
+            if (fivePoints.length === 1) {
+                // 防守方冲四反击：进攻方必须挡住（黑方禁手点挡不住），然后防守方继续应对原来的威胁
+                const [br, bc] = fivePoints[0];
+                if (!this.ai.isForbiddenMove(board, br, bc, attacker)) {
+                    this.ai.makeMove(board, br, bc, attacker);
+                    const line = this.defend(board, attacker, depth);
+                    this.ai.unmakeMove(board, br, bc, attacker);
+                    if (line) rest = [[br, bc, attacker], ...line];
+                }
+            } else if (fivePoints.length === 0) {
+                rest = this.search(board, attacker, depth);
+            }
+            // 防守方形成活四或双四时进攻方必败，rest 保持 null
+
+            this.ai.unmakeMove(board, row, col, defender);
+
+            if (!rest) return null;
+            if (!mainLine) {
+                mainLine = [[row, col, defender], ...rest];
+            }
+        }
+
+        return mainLine;
+    }
+
+    /**
+     * 防守方的候选应手：进攻方的成五点；没有成五点时为进攻方所有成活四的点
+     * 及其对应的成五点，再加上防守方自己的冲四
+     */
+    getDefenseMoves(board, attacker) {
+        const defender = 3 - attacker;
+
+        const fives = this.findFiveMoves(board, attacker);
+        if (fives.length > 0) return fives;
+
+        const points = [];
+        const addPoint = ([r, c]) => {
+            if (!points.some(([pr, pc]) => pr === r && pc === c)) {
+                points.push([r, c]);
+            }
+        };
+
+        for (const [row, col] of this.findThreeMoves(board, attacker, true)) {
+            addPoint([row, col]);
+            board[row][col] = attacker;
+            this.getFivePointsThrough(board, row, col, attacker).forEach(addPoint);
+            board[row][col] = 0;
+        }
+
+        if (points.length === 0) return [];
+
+        this.findFourMoves(board, defender).forEach(addPoint);
+        return points;
+    }
+
+    /**
+     * 找出所有落下即成活三的空位（不含成四的点）
+     * @param {Boolean} openFourOnly - 为 true 时改为寻找落下即成活四的空位
+     */
+    findThreeMoves(board, player, openFourOnly = false) {
+        const moves = [];
+        const size = this.ai.boardSize;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                if (board[row][col] !== 0) continue;
+                if (!this.ai.hasNearbyPieces(board, row, col, 2)) continue;
+                if (this.ai.isForbiddenMove(board, row, col, player)) continue;
+
+                board[row][col] = player;
+                const fivePoints = this.getFivePointsThrough(board, row, col, player);
+                const isThreat = openFourOnly
+                    ? fivePoints.length >= 2
+                    : fivePoints.length === 0 && this.directions.some(([dx, dy]) => this.isLiveThree(board, row, col, dx, dy, player));
+                board[row][col] = 0;
+
+                if (isThreat) {
+                    moves.push({ move: [row, col], score: this.ai.quickEvaluatePosition(board, row, col, player) });
+                }
+            }
+        }
+
+        moves.sort((a, b) => b.score - a.score);
+        return moves.map(m => m.move);
+    }
+
+    /**
+     * 经过 (row, col) 的某条线上是否有活三：再下一子即可形成两个成五点（活四）
+     */
+    isLiveThree(board, row, col, dx, dy, player) {
+        if (!this.threeRegex.test(this.ai.getLineString(board, row, col, dx, dy, player))) {
+            return false;
+        }
+
+        const size = this.ai.boardSize;
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0) continue;
+            const r = row + k * dx;
+            const c = col + k * dy;
+            if (r < 0 || r >= size || c < 0 || c >= size || board[r][c] !== 0) continue;
+
+            board[r][c] = player;
+            const openFour = this.getFivePointsInDirection(board, r, c, dx, dy, player).length >= 2;
+            board[r][c] = 0;
+
+            if (openFour) return true;
+        }
+        return false;
+    }
+}
+
+// 导出：Node 中作为 CommonJS 模块，页面和 Worker 中挂到全局（window / WorkerGlobalScope）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VCTSolver };
+} else {
+    self.VCTSolver = VCTSolver;
+}